@@ -3,16 +3,44 @@
  * Frontend Application
  */
 
+const TRANSITION_LABELS = {
+    cut: 'Střih',
+    crossfade: 'Prolínání',
+    dip_to_black: 'Přes černou',
+    audio_crossfade: 'Prolnutí zvuku'
+};
+
+const MEDIA_ICONS = {
+    photo: '📷',
+    audio: '🎙️'
+};
+
+// Resumable uploads: chunk size and waits before retrying a failed chunk
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+const UPLOAD_RETRY_DELAYS = [1000, 3000, 5000, 10000, 20000, 30000];
+// How often a complete upload is asked whether its video is registered
+const UPLOAD_REGISTRATION_POLL_MS = 2000;
+// Presigned part URLs requested at once for direct uploads
+const DIRECT_UPLOAD_SIGN_BATCH = 20;
+
 class VideoStitchApp {
     constructor() {
         // State
         this.project = null;
         this.videos = [];
+        this.cards = [];
         this.activeVideoId = null;
         this.currentInPoint = null;
         this.sortMode = 'smart';
+        this.showVideoDetails = false;
+        // Moment picked in one video to sync another camera's clock to
+        this.clockReference = null;
         this.userName = localStorage.getItem('videostitch_username') || '';
         this.refreshInterval = null;
+        this.exportPresets = null;
+        this.cropFocusMarkId = null;
+        this.textEditTarget = null;
+        this.cropAspect = localStorage.getItem('videostitch_crop_aspect') || '9:16';
 
         // Cache DOM elements
         this.cacheElements();
@@ -50,8 +78,11 @@ class VideoStitchApp {
 
             // Player
             videoPlayer: document.getElementById('video-player'),
+            photoViewer: document.getElementById('photo-viewer'),
             videoPlaceholder: document.getElementById('video-placeholder'),
             videoLoading: document.getElementById('video-loading'),
+            cropGuide: document.getElementById('crop-guide'),
+            cropGuideWindow: document.getElementById('crop-guide-window'),
             currentTime: document.getElementById('current-time'),
             duration: document.getElementById('duration'),
             timeline: document.getElementById('video-timeline'),
@@ -65,6 +96,19 @@ class VideoStitchApp {
             btnSkipForward: document.getElementById('btn-skip-forward'),
             btnInPoint: document.getElementById('btn-in-point'),
             btnOutPoint: document.getElementById('btn-out-point'),
+            btnStill: document.getElementById('btn-still'),
+
+            // Clip settings
+            clipSettings: document.getElementById('clip-settings'),
+            clipIncluded: document.getElementById('clip-included'),
+            clipMute: document.getElementById('clip-mute'),
+            clipVolume: document.getElementById('clip-volume'),
+            clipVolumeValue: document.getElementById('clip-volume-value'),
+            clipDetailsToggle: document.getElementById('clip-details-toggle'),
+            clipPhotoSettings: document.getElementById('clip-photo-settings'),
+            clipStillDuration: document.getElementById('clip-still-duration'),
+            clipKenBurns: document.getElementById('clip-ken-burns'),
+            videoDetails: document.getElementById('video-details'),
 
             // Marks
             marksContainer: document.getElementById('marks-container'),
@@ -72,11 +116,14 @@ class VideoStitchApp {
             // List
             videoCount: document.getElementById('video-count'),
             sortSelect: document.getElementById('sort-select'),
+            duplicateMode: document.getElementById('duplicate-mode'),
+            btnWatchFolder: document.getElementById('btn-watch-folder'),
             uploadDropzone: document.getElementById('upload-dropzone'),
             fileInput: document.getElementById('file-input'),
             uploadProgress: document.getElementById('upload-progress'),
             uploadProgressText: document.getElementById('upload-progress-text'),
             uploadProgressFill: document.getElementById('upload-progress-fill'),
+            uploadFiles: document.getElementById('upload-files'),
             videosList: document.getElementById('videos-list'),
 
             // Stats
@@ -87,15 +134,64 @@ class VideoStitchApp {
             // Export modal
             exportModal: document.getElementById('export-modal'),
             exportName: document.getElementById('export-name'),
+            exportPreset: document.getElementById('export-preset'),
+            exportAspect: document.getElementById('export-aspect'),
+            exportLoudness: document.getElementById('export-loudness'),
+            exportMode: document.getElementById('export-mode'),
+            exportHighlightTarget: document.getElementById('export-highlight-target'),
+            exportChapters: document.getElementById('export-chapters'),
+            exportChapterTitle: document.getElementById('export-chapter-title'),
+            exportSubtitles: document.getElementById('export-subtitles'),
+            exportTransition: document.getElementById('export-transition'),
+            exportTransitionDuration: document.getElementById('export-transition-duration'),
+            exportPhotoDuration: document.getElementById('export-photo-duration'),
             exportSummary: document.getElementById('export-summary'),
+            timelineLinks: document.getElementById('timeline-links'),
+            musicName: document.getElementById('music-name'),
+            btnMusicUpload: document.getElementById('btn-music-upload'),
+            btnMusicRemove: document.getElementById('btn-music-remove'),
+            musicInput: document.getElementById('music-input'),
+            musicOptions: document.getElementById('music-options'),
+            musicOffset: document.getElementById('music-offset'),
+            musicFadeIn: document.getElementById('music-fade-in'),
+            musicFadeOut: document.getElementById('music-fade-out'),
+            musicVolume: document.getElementById('music-volume'),
+            musicDucking: document.getElementById('music-ducking'),
             btnCancelExport: document.getElementById('btn-cancel-export'),
             btnConfirmExport: document.getElementById('btn-confirm-export'),
 
+            cardsList: document.getElementById('cards-list'),
+            btnAddTitleCard: document.getElementById('btn-add-title-card'),
+            btnAddEndCard: document.getElementById('btn-add-end-card'),
+
+            // Text overlay / title card modal
+            textModal: document.getElementById('text-modal'),
+            textModalTitle: document.getElementById('text-modal-title'),
+            textTypeGroup: document.getElementById('text-type-group'),
+            textType: document.getElementById('text-type'),
+            textContent: document.getElementById('text-content'),
+            textFont: document.getElementById('text-font'),
+            textSize: document.getElementById('text-size'),
+            textPosition: document.getElementById('text-position'),
+            textFade: document.getElementById('text-fade'),
+            textDurationGroup: document.getElementById('text-duration-group'),
+            textDuration: document.getElementById('text-duration'),
+            btnCancelText: document.getElementById('btn-cancel-text'),
+            btnSaveText: document.getElementById('btn-save-text'),
+
             // Export progress modal
             exportProgressModal: document.getElementById('export-progress-modal'),
             exportProgressTitle: document.getElementById('export-progress-title'),
             exportProgressFill: document.getElementById('export-progress-fill'),
             exportProgressText: document.getElementById('export-progress-text'),
+            btnAbortExport: document.getElementById('btn-abort-export'),
+            btnHideExportProgress: document.getElementById('btn-hide-export-progress'),
+
+            // Export history modal
+            btnExports: document.getElementById('btn-exports'),
+            exportsModal: document.getElementById('exports-modal'),
+            exportsList: document.getElementById('exports-list'),
+            btnCloseExports: document.getElementById('btn-close-exports'),
 
             // Toast
             toastContainer: document.getElementById('toast-container'),
@@ -164,12 +260,60 @@ class VideoStitchApp {
             this.renderVideosList();
         });
 
+        this.elements.duplicateMode.addEventListener('change', async (e) => {
+            try {
+                await this.updateProject({ duplicate_mode: e.target.value });
+                this.showToast(e.target.value === 'reject' ? 'Duplikáty budou odmítnuty' : 'Duplikáty budou propojeny');
+            } catch (error) {
+                this.showToast('Chyba: ' + error.message, 'error');
+                e.target.value = this.project.duplicate_mode || 'link';
+            }
+        });
+
+        this.elements.btnWatchFolder.addEventListener('click', () => this.editWatchFolder());
+
         // Player controls
         this.elements.btnPlayPause.addEventListener('click', () => this.togglePlayPause());
         this.elements.btnSkipBack.addEventListener('click', () => this.skip(-10));
         this.elements.btnSkipForward.addEventListener('click', () => this.skip(10));
         this.elements.btnInPoint.addEventListener('click', () => this.setInPoint());
         this.elements.btnOutPoint.addEventListener('click', () => this.setOutPoint());
+        this.elements.btnStill.addEventListener('click', (e) => this.exportStill(e.shiftKey ? 'png' : 'jpg'));
+
+        // Clip settings
+        this.elements.clipIncluded.addEventListener('change', (e) => {
+            this.saveActiveVideoSettings({ included: e.target.checked });
+        });
+        this.elements.clipMute.addEventListener('click', () => {
+            const video = this.videos.find(v => v.id === this.activeVideoId);
+            if (video) this.saveActiveVideoSettings({ muted: !video.muted });
+        });
+        this.elements.clipVolume.addEventListener('input', (e) => {
+            this.elements.clipVolumeValue.textContent = `${e.target.value} %`;
+        });
+        this.elements.clipVolume.addEventListener('change', (e) => {
+            this.saveActiveVideoSettings({ volume: parseInt(e.target.value, 10) / 100 });
+        });
+        // Empty = the project's photo duration
+        this.elements.clipStillDuration.addEventListener('change', (e) => {
+            const value = Math.min(30, Math.max(1, parseFloat(e.target.value)));
+            const stillDuration = Number.isFinite(value) ? value : null;
+            // The server works out a photo's length when listing, keep the list in step
+            const video = this.videos.find(v => v.id === this.activeVideoId);
+            if (video) video.duration = stillDuration ?? this.project?.photo_duration ?? 4;
+            this.saveActiveVideoSettings({ still_duration: stillDuration });
+        });
+        this.elements.clipKenBurns.addEventListener('change', (e) => {
+            this.saveActiveVideoSettings({ ken_burns: e.target.checked });
+        });
+        this.elements.clipDetailsToggle.addEventListener('click', () => {
+            this.showVideoDetails = !this.showVideoDetails;
+            this.renderVideoDetails();
+        });
+        this.elements.videoDetails.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-clock]')?.dataset.clock;
+            if (action) this.handleClockAction(action);
+        });
 
         // Video player events
         this.elements.videoPlayer.addEventListener('timeupdate', () => this.updateTimeline());
@@ -180,9 +324,52 @@ class VideoStitchApp {
         // Timeline
         this.elements.timeline.addEventListener('click', (e) => this.seekToPosition(e));
 
+        // Crop focus
+        this.elements.cropGuide.addEventListener('click', (e) => this.setCropFocusFromClick(e));
+        window.addEventListener('resize', () => this.renderCropGuide());
+
         // Export modal
         this.elements.btnCancelExport.addEventListener('click', () => this.hideExportModal());
         this.elements.btnConfirmExport.addEventListener('click', () => this.startExport());
+        this.elements.btnAbortExport.addEventListener('click', () => this.cancelExport(this.activeExportId));
+        this.elements.btnHideExportProgress.addEventListener('click', () => {
+            this.elements.exportProgressModal.classList.remove('visible');
+        });
+
+        // Export history
+        this.elements.btnExports.addEventListener('click', () => this.showExportsModal());
+        this.elements.btnCloseExports.addEventListener('click', () => this.hideExportsModal());
+        this.elements.exportsList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-export-id]');
+            if (button) this.cancelExport(button.dataset.exportId);
+        });
+        this.elements.exportTransition.addEventListener('change', () => this.saveTransitionDefaults());
+        this.elements.exportMode.addEventListener('change', () => {
+            this.elements.exportHighlightTarget.classList.toggle('hidden', this.elements.exportMode.value !== 'highlight');
+            this.renderExportSummary();
+        });
+        this.elements.exportHighlightTarget.addEventListener('change', () => this.renderExportSummary());
+        this.elements.exportTransitionDuration.addEventListener('change', () => this.saveTransitionDefaults());
+        this.elements.exportPhotoDuration.addEventListener('change', () => this.savePhotoDuration());
+
+        // Title cards and text overlays
+        this.elements.btnAddTitleCard.addEventListener('click', () => this.openCardEditor(null, 'title'));
+        this.elements.btnAddEndCard.addEventListener('click', () => this.openCardEditor(null, 'end'));
+        this.elements.btnCancelText.addEventListener('click', () => this.hideTextModal());
+        this.elements.btnSaveText.addEventListener('click', () => this.saveTextModal());
+        this.elements.textType.addEventListener('change', () => this.updateTextPlaceholder());
+
+        // Background music
+        this.elements.btnMusicUpload.addEventListener('click', () => this.elements.musicInput.click());
+        this.elements.musicInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.uploadMusic(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.elements.btnMusicRemove.addEventListener('click', () => this.removeMusic());
+        [this.elements.musicOffset, this.elements.musicFadeIn, this.elements.musicFadeOut,
+            this.elements.musicVolume, this.elements.musicDucking].forEach(input => {
+            input.addEventListener('change', () => this.saveMusicSettings());
+        });
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
@@ -304,7 +491,7 @@ class VideoStitchApp {
             const data = await response.json();
 
             if (data.success) {
-                this.openProject(data.project, data.videos);
+                this.openProject(data.project, data.videos, data.cards);
             }
         } catch (error) {
             console.error('Failed to load project:', error);
@@ -312,13 +499,16 @@ class VideoStitchApp {
         }
     }
 
-    openProject(project, videos = []) {
+    openProject(project, videos = [], cards = []) {
         this.project = project;
         this.videos = videos;
+        this.cards = cards;
 
         // Update UI
         this.elements.headerProjectName.textContent = project.name;
         this.elements.headerProjectCode.textContent = project.invite_code;
+        this.elements.duplicateMode.value = project.duplicate_mode || 'link';
+        this.renderWatchFolder();
 
         // Show editor
         this.elements.landingScreen.classList.add('hidden');
@@ -393,6 +583,8 @@ class VideoStitchApp {
 
             if (data.success) {
                 // Check for changes
+                this.cards = data.cards || [];
+
                 const hasChanges = JSON.stringify(this.videos) !== JSON.stringify(data.videos);
 
                 if (hasChanges) {
@@ -414,54 +606,368 @@ class VideoStitchApp {
     // ==========================================
 
     async handleFiles(files) {
-        const videoFiles = Array.from(files).filter(f => f.type.startsWith('video/'));
+        // HEIC from iPhones often comes without a MIME type, the extension decides
+        const videoFiles = Array.from(files).filter(f => this.getMediaType(f.name));
 
         if (videoFiles.length === 0) {
-            this.showToast('Žádné video soubory', 'error');
+            this.showToast('Žádné podporované soubory', 'error');
             return;
         }
 
         this.elements.uploadProgress.classList.remove('hidden');
+        this.elements.uploadFiles.innerHTML = videoFiles.map((file, i) => `
+            <div class="upload-file" data-index="${i}">
+                <span class="upload-file-name">${this.escapeHtml(file.name)}</span>
+                <span class="upload-file-bytes">0 B / ${this.formatFileSize(file.size)}</span>
+                <div class="progress-bar"><div class="progress-fill"></div></div>
+            </div>
+        `).join('');
+
+        const totalBytes = videoFiles.reduce((sum, f) => sum + f.size, 0);
+        const uploadedBytes = videoFiles.map(() => 0);
+        let uploadedCount = 0;
 
         for (let i = 0; i < videoFiles.length; i++) {
             const file = videoFiles[i];
-            const progress = Math.round((i / videoFiles.length) * 100);
+            const row = this.elements.uploadFiles.querySelector(`[data-index="${i}"]`);
+
+            const onProgress = (bytes) => {
+                uploadedBytes[i] = bytes;
+                row.querySelector('.upload-file-bytes').textContent =
+                    `${this.formatFileSize(bytes)} / ${this.formatFileSize(file.size)}`;
+                row.querySelector('.progress-fill').style.width = `${file.size ? (bytes / file.size) * 100 : 100}%`;
 
-            this.elements.uploadProgressText.textContent = `${i + 1}/${videoFiles.length} - ${file.name}`;
-            this.elements.uploadProgressFill.style.width = `${progress}%`;
+                const done = uploadedBytes.reduce((sum, b) => sum + b, 0);
+                const percent = totalBytes ? Math.floor((done / totalBytes) * 100) : 100;
+                this.elements.uploadProgressText.textContent = `${i + 1}/${videoFiles.length} • ${percent}%`;
+                this.elements.uploadProgressFill.style.width = `${percent}%`;
+            };
 
             try {
-                await this.uploadFile(file);
+                await this.uploadFile(file, onProgress);
+                row.classList.add('done');
+                uploadedCount++;
             } catch (error) {
                 console.error('Upload failed:', file.name, error);
-                this.showToast(`Chyba: ${file.name}`, 'error');
+                row.classList.add('failed');
+                this.showToast(`Chyba: ${file.name} (${error.message})`, 'error');
             }
         }
 
         this.elements.uploadProgress.classList.add('hidden');
         this.elements.uploadProgressFill.style.width = '0%';
+        this.elements.uploadFiles.innerHTML = '';
 
-        this.showToast(`Nahráno ${videoFiles.length} videí`);
+        this.showToast(`Nahráno ${uploadedCount} souborů`);
         await this.refreshProject();
     }
 
-    async uploadFile(file) {
-        const formData = new FormData();
-        formData.append('video', file);
-        formData.append('uploadedBy', this.userName || 'anonymous');
+    // Same extensions as the server accepts
+    getMediaType(filename) {
+        const extension = filename.split('.').pop();
+        if (/^(mp4|mov|avi|mkv|webm|m4v|3gp)$/i.test(extension)) return 'video';
+        if (/^(jpe?g|png|heic|heif)$/i.test(extension)) return 'photo';
+        if (/^(m4a|mp3|wav|aac|ogg|opus|amr)$/i.test(extension)) return 'audio';
+        return null;
+    }
+
+    async getUploadConfig() {
+        if (!this.uploadConfig) {
+            const response = await fetch('/api/upload-config');
+            this.uploadConfig = await response.json();
+        }
+        return this.uploadConfig;
+    }
+
+    // Only offered when the server has IMPORT_ROOT set
+    async renderWatchFolder() {
+        try {
+            const config = await this.getUploadConfig();
+            const folder = this.project?.watch_folder;
+            this.elements.btnWatchFolder.classList.toggle('hidden', !config.watchFolders);
+            this.elements.btnWatchFolder.classList.toggle('active', !!folder);
+            this.elements.btnWatchFolder.title = folder
+                ? `Sledovaná složka: ${folder}`
+                : 'Sledovaná složka na serveru';
+        } catch (error) {
+            console.error('Failed to load upload config:', error);
+        }
+    }
+
+    // Folder on the server whose new files join the project, empty = stop watching
+    async editWatchFolder() {
+        const value = prompt('Složka na serveru, jejíž nové soubory se přidají do projektu (prázdné = nesledovat):',
+            this.project.watch_folder || '');
+        if (value === null) return;
+
+        try {
+            await this.updateProject({ watch_folder: value.trim() || null });
+            this.showToast(value.trim() ? 'Složka se sleduje, nové soubory přibudou do minuty či dvou' : 'Složka se už nesleduje');
+        } catch (error) {
+            this.showToast('Chyba: ' + error.message, 'error');
+        }
+        this.renderWatchFolder();
+    }
+
+    // Straight to object storage when the server has it, otherwise through the server
+    async uploadFile(file, onProgress = () => {}) {
+        await this.getUploadConfig();
+
+        return this.uploadConfig.directUploads
+            ? this.uploadFileDirect(file, onProgress)
+            : this.uploadFileResumable(file, onProgress);
+    }
+
+    // Unfinished uploads by file fingerprint, kept across reloads
+    getPendingUpload(fingerprint) {
+        const pending = JSON.parse(localStorage.getItem('videostitch_uploads') || '{}');
+        return pending[fingerprint] || null;
+    }
+
+    setPendingUpload(fingerprint, value) {
+        const pending = JSON.parse(localStorage.getItem('videostitch_uploads') || '{}');
+        if (value) {
+            pending[fingerprint] = value;
+        } else {
+            delete pending[fingerprint];
+        }
+        localStorage.setItem('videostitch_uploads', JSON.stringify(pending));
+    }
+
+    /**
+     * Resumable upload (tus 1.0): the file goes up in chunks, a dropped chunk
+     * is retried from the offset the server reports. The upload URL is kept
+     * in localStorage, so picking the same file after a reload continues it.
+     */
+    async uploadFileResumable(file, onProgress) {
+        const fingerprint = `${this.project.id}:${file.name}:${file.size}:${file.lastModified}`;
+
+        let uploadUrl = this.getPendingUpload(fingerprint);
+        let status = uploadUrl ? await this.getUploadStatus(uploadUrl).catch(() => null) : null;
+
+        if (!status) {
+            uploadUrl = await this.createUpload(file);
+            status = { offset: 0, done: false };
+            this.setPendingUpload(fingerprint, uploadUrl);
+        }
+
+        onProgress(status.offset);
+
+        let attempt = 0;
+        while (!status.done) {
+            try {
+                // All bytes are in: wait for the server, or restart a failed registration
+                const next = status.offset < file.size || status.error
+                    ? await this.sendUploadChunk(uploadUrl, file, status.offset, onProgress)
+                    : await this.waitForUploadRegistration(uploadUrl);
+                // A restarted registration alone is no progress
+                if (next.offset > status.offset || next.done) attempt = 0;
+                status = next;
+            } catch (error) {
+                // The server forgot or refused the upload, the next pick starts over
+                if (error.fatal) this.setPendingUpload(fingerprint, null);
+                if (error.fatal || attempt >= UPLOAD_RETRY_DELAYS.length) throw error;
+                await new Promise(resolve => setTimeout(resolve, UPLOAD_RETRY_DELAYS[attempt++]));
+
+                // Part of the failed chunk may have arrived, continue from the server's offset
+                const serverStatus = await this.getUploadStatus(uploadUrl).catch(() => status);
+                if (!serverStatus) throw new Error('Nahrávání vypršelo');
+                status = serverStatus;
+            }
+        }
+
+        this.setPendingUpload(fingerprint, null);
+    }
+
+    /**
+     * Direct upload: presigned multipart straight to the bucket. Finished
+     * parts and their ETags are remembered, a reload continues with the rest.
+     */
+    async uploadFileDirect(file, onProgress) {
+        const api = `/api/projects/${this.project.id}/direct-uploads`;
+        const fingerprint = `direct:${this.project.id}:${file.name}:${file.size}:${file.lastModified}`;
+
+        let upload = this.getPendingUpload(fingerprint);
+        if (!upload) {
+            const data = await this.postJson(api, { filename: file.name, size: file.size, contentType: file.type });
+            upload = { key: data.key, uploadId: data.uploadId, partSize: data.partSize, partCount: data.partCount, parts: {} };
+            this.setPendingUpload(fingerprint, upload);
+        }
+
+        const { key, uploadId, partSize } = upload;
+        const partBytes = (n) => Math.min(partSize, file.size - (n - 1) * partSize);
+        const doneBytes = () => Object.keys(upload.parts).reduce((sum, n) => sum + partBytes(Number(n)), 0);
+        onProgress(doneBytes());
+
+        const missing = [];
+        for (let n = 1; n <= upload.partCount; n++) {
+            if (!upload.parts[n]) missing.push(n);
+        }
+
+        try {
+            // URLs are signed per batch so they do not expire before use
+            for (let i = 0; i < missing.length; i += DIRECT_UPLOAD_SIGN_BATCH) {
+                const batch = missing.slice(i, i + DIRECT_UPLOAD_SIGN_BATCH);
+                const { urls } = await this.postJson(`${api}/sign`, { key, uploadId, partNumbers: batch });
+
+                for (const partNumber of batch) {
+                    const start = (partNumber - 1) * partSize;
+                    const base = doneBytes();
+                    upload.parts[partNumber] = await this.withRetries(() => this.putUploadPart(
+                        urls[partNumber], file.slice(start, start + partSize), (loaded) => onProgress(base + loaded)
+                    ));
+                    this.setPendingUpload(fingerprint, upload);
+                }
+            }
+        } catch (error) {
+            // The bucket no longer knows the upload, start over next time
+            if (error.status === 404) this.setPendingUpload(fingerprint, null);
+            throw error;
+        }
+
+        const data = await this.postJson(`${api}/complete`, {
+            key,
+            uploadId,
+            parts: Object.entries(upload.parts).map(([partNumber, etag]) => ({ partNumber: Number(partNumber), etag })),
+            filename: file.name,
+            size: file.size,
+            uploadedBy: this.userName || 'anonymous'
+        });
 
-        const response = await fetch(`/api/projects/${this.project.id}/videos`, {
+        this.setPendingUpload(fingerprint, null);
+        return data.video;
+    }
+
+    // Resolves with the part's ETag
+    putUploadPart(url, blob, onProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('PUT', url);
+
+            xhr.upload.onprogress = (e) => onProgress(e.loaded);
+            xhr.onload = () => {
+                const etag = xhr.getResponseHeader('ETag');
+                if (xhr.status >= 200 && xhr.status < 300 && etag) {
+                    onProgress(blob.size);
+                    resolve(etag);
+                    return;
+                }
+
+                const error = new Error(xhr.status >= 200 && xhr.status < 300
+                    ? 'Úložiště nevrací ETag (CORS ExposeHeaders)'
+                    : `Úložiště odmítlo část (${xhr.status})`);
+                error.status = xhr.status;
+                error.fatal = xhr.status < 500;
+                reject(error);
+            };
+            xhr.onerror = () => reject(new Error('Výpadek spojení'));
+
+            xhr.send(blob);
+        });
+    }
+
+    async withRetries(task) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await task();
+            } catch (error) {
+                if (error.fatal || attempt >= UPLOAD_RETRY_DELAYS.length) throw error;
+                await new Promise(resolve => setTimeout(resolve, UPLOAD_RETRY_DELAYS[attempt]));
+            }
+        }
+    }
+
+    async postJson(url, body) {
+        const response = await fetch(url, {
             method: 'POST',
-            body: formData
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
         });
 
         const data = await response.json();
-
         if (!data.success) {
             throw new Error(data.error);
         }
+        return data;
+    }
 
-        return data.video;
+    async createUpload(file) {
+        const encode = (text) => btoa(unescape(encodeURIComponent(text)));
+        const response = await fetch(`/api/projects/${this.project.id}/uploads`, {
+            method: 'POST',
+            headers: {
+                'Tus-Resumable': '1.0.0',
+                'Upload-Length': String(file.size),
+                'Upload-Metadata': `filename ${encode(file.name)},uploadedBy ${encode(this.userName || 'anonymous')}`
+            }
+        });
+
+        if (response.status !== 201) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || response.statusText);
+        }
+        return response.headers.get('Location');
+    }
+
+    // Resolves with null when the server no longer knows the upload
+    async getUploadStatus(uploadUrl) {
+        const response = await fetch(uploadUrl, { method: 'HEAD', headers: { 'Tus-Resumable': '1.0.0' } });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(response.statusText);
+
+        const error = response.headers.get('Upload-Error');
+        return {
+            offset: parseInt(response.headers.get('Upload-Offset'), 10),
+            done: !!response.headers.get('Upload-Video-Id'),
+            error: error ? decodeURIComponent(error) : null,
+            duplicate: !!response.headers.get('Upload-Duplicate-Of')
+        };
+    }
+
+    // The server registers a complete upload in the background
+    async waitForUploadRegistration(uploadUrl) {
+        for (;;) {
+            await new Promise(resolve => setTimeout(resolve, UPLOAD_REGISTRATION_POLL_MS));
+            const status = await this.getUploadStatus(uploadUrl);
+
+            if (!status || status.error) {
+                const error = new Error(status ? status.error : 'Nahrávání nenalezeno');
+                error.fatal = !status || status.duplicate;
+                throw error;
+            }
+            if (status.done) return status;
+        }
+    }
+
+    // XHR rather than fetch for upload progress events
+    sendUploadChunk(uploadUrl, file, offset, onProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('PATCH', uploadUrl);
+            xhr.setRequestHeader('Tus-Resumable', '1.0.0');
+            xhr.setRequestHeader('Upload-Offset', String(offset));
+            xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+
+            xhr.upload.onprogress = (e) => onProgress(offset + e.loaded);
+            xhr.onload = () => {
+                if (xhr.status === 204) {
+                    const newOffset = parseInt(xhr.getResponseHeader('Upload-Offset'), 10);
+                    onProgress(newOffset);
+                    resolve({ offset: newOffset, done: !!xhr.getResponseHeader('Upload-Video-Id') });
+                    return;
+                }
+
+                let data = {};
+                try { data = JSON.parse(xhr.responseText); } catch (e) { /* not JSON */ }
+                const error = new Error(data.error || xhr.statusText);
+                // Gone or rejected; 409 (offset mismatch) and 5xx are retried, a refused duplicate is not
+                error.fatal = [400, 404, 413, 415].includes(xhr.status) || !!data.duplicateOf;
+                reject(error);
+            };
+            xhr.onerror = () => reject(new Error('Výpadek spojení'));
+
+            xhr.send(file.slice(offset, offset + UPLOAD_CHUNK_SIZE));
+        });
     }
 
     // ==========================================
@@ -489,9 +995,10 @@ class VideoStitchApp {
         }
     }
 
+    // Camera dates are shifted by the clock offset of the video's device
     getBestDate(video) {
-        if (video.metadata_date) return new Date(video.metadata_date);
-        if (video.filename_date) return new Date(video.filename_date);
+        const cameraDate = video.metadata_date || video.filename_date;
+        if (cameraDate) return new Date(new Date(cameraDate).getTime() + (video.clock_offset || 0) * 1000);
         return new Date(video.upload_date);
     }
 
@@ -510,6 +1017,10 @@ class VideoStitchApp {
         }
 
         this.elements.videosList.innerHTML = this.videos.map(video => {
+            const original = video.duplicate_of && this.videos.find(v => v.id === video.duplicate_of);
+            // Everyone who uploaded the clip, duplicates included
+            const uploaders = [...new Set([video, ...this.videos.filter(v => v.duplicate_of === video.id)]
+                .map(v => v.uploaded_by).filter(Boolean))];
             const isActive = this.activeVideoId === video.id;
             const hasMarks = video.marks && video.marks.length > 0;
             const isProcessing = video.processing_status === 'processing' || video.processing_status === 'pending';
@@ -520,13 +1031,16 @@ class VideoStitchApp {
                      data-id="${video.id}">
                     ${video.thumbnail_url
                     ? `<img class="video-thumbnail" src="${video.thumbnail_url}" alt="">`
-                    : `<div class="video-thumbnail-placeholder">${isProcessing ? '⏳' : '🎬'}</div>`
+                    : `<div class="video-thumbnail-placeholder">${isProcessing ? '⏳' : (MEDIA_ICONS[video.media_type] || '🎬')}</div>`
                 }
                     <div class="video-info">
                         <div class="video-name" title="${video.original_filename}">${video.original_filename}</div>
                         <div class="video-meta">
+                            ${MEDIA_ICONS[video.media_type] ? `<span class="video-media" title="${video.media_type === 'photo' ? 'Fotka' : 'Zvuková nahrávka (komentář)'}">${MEDIA_ICONS[video.media_type]}</span>` : ''}
                             <span class="video-source source-${video.source || 'other'}">${video.source || 'video'}</span>
-                            ${video.uploaded_by ? `<span>od ${video.uploaded_by}</span>` : ''}
+                            ${uploaders.length > 0 ? `<span>od ${uploaders.join(', ')}</span>` : ''}
+                            ${original ? `<span class="video-duplicate" title="Duplikát videa ${original.original_filename}">🔁 ${original.original_filename}</span>` : ''}
+                            ${video.chapters ? `<span class="video-chapters" title="Jeden záznam rozdělený kamerou do souborů">🎞️ ${video.chapters.length} ${video.chapters.length < 5 ? 'části' : 'částí'}</span>` : ''}
                         </div>
                     </div>
                     <div class="video-status">
@@ -575,6 +1089,8 @@ class VideoStitchApp {
         }
 
         this.activeVideoId = videoId;
+        this.cropFocusMarkId = null;
+        this.renderCropGuide();
 
         // Show loading
         this.elements.videoPlaceholder.classList.add('hidden');
@@ -599,19 +1115,291 @@ class VideoStitchApp {
                 }
             }
 
-            // Load video
-            this.elements.videoPlayer.src = videoUrl;
-            this.elements.videoPlayer.load();
+            this.loadMedia(video, videoUrl);
         } catch (error) {
             console.error('Error loading video:', error);
             // Fallback to direct URL
-            this.elements.videoPlayer.src = video.proxy_url;
-            this.elements.videoPlayer.load();
+            this.loadMedia(video, video.proxy_url);
         }
 
         // Update list
         this.renderVideosList();
         this.renderMarks();
+        this.renderClipSettings();
+    }
+
+    // Photos show in an image, narration plays with its waveform as the poster
+    loadMedia(video, url) {
+        const player = this.elements.videoPlayer;
+        const viewer = this.elements.photoViewer;
+        const isPhoto = video.media_type === 'photo';
+
+        player.classList.toggle('hidden', isPhoto);
+        viewer.classList.toggle('hidden', !isPhoto);
+
+        if (isPhoto) {
+            player.pause();
+            player.removeAttribute('src');
+            player.load();
+            viewer.onload = () => this.elements.videoLoading.classList.add('hidden');
+            viewer.src = url;
+            this.elements.duration.textContent = this.formatTime(video.duration);
+            return;
+        }
+
+        viewer.removeAttribute('src');
+        if (video.media_type === 'audio' && video.thumbnail_url) {
+            player.poster = video.thumbnail_url;
+        } else {
+            player.removeAttribute('poster');
+        }
+        player.src = url;
+        player.load();
+    }
+
+    renderClipSettings() {
+        const video = this.videos.find(v => v.id === this.activeVideoId);
+
+        this.renderVideoDetails();
+
+        if (!video) {
+            this.elements.clipSettings.classList.add('hidden');
+            return;
+        }
+
+        const volume = Math.round((video.volume ?? 1) * 100);
+        this.elements.clipIncluded.checked = video.included !== false;
+        this.elements.clipMute.textContent = video.muted ? '🔇' : '🔊';
+        this.elements.clipVolume.value = volume;
+        this.elements.clipVolume.disabled = !!video.muted;
+        this.elements.clipVolumeValue.textContent = `${volume} %`;
+
+        const isPhoto = video.media_type === 'photo';
+        this.elements.clipPhotoSettings.classList.toggle('hidden', !isPhoto);
+        this.elements.clipMute.classList.toggle('hidden', isPhoto);
+        this.elements.clipVolume.classList.toggle('hidden', isPhoto);
+        this.elements.clipVolumeValue.classList.toggle('hidden', isPhoto);
+        if (isPhoto) {
+            this.elements.clipStillDuration.value = video.still_duration ?? '';
+            this.elements.clipStillDuration.placeholder = this.project?.photo_duration ?? 4;
+            this.elements.clipKenBurns.checked = video.ken_burns !== false;
+        }
+        this.elements.clipSettings.classList.remove('hidden');
+    }
+
+    // Technical metadata of the active video, rows without a value are left out
+    renderVideoDetails() {
+        const video = this.videos.find(v => v.id === this.activeVideoId);
+        const panel = this.elements.videoDetails;
+
+        this.elements.clipDetailsToggle.classList.toggle('active', !!this.showVideoDetails);
+        if (!video || !this.showVideoDetails) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const channels = { 1: 'mono', 2: 'stereo' };
+        const uploaders = [...new Set([video, ...this.videos.filter(v => v.duplicate_of === video.id)]
+            .map(v => v.uploaded_by).filter(Boolean))];
+        const hasLocation = video.latitude != null && video.longitude != null;
+
+        const rows = [
+            ['Soubor', `${this.escapeHtml(video.original_filename)}${video.file_size ? ` · ${this.formatFileSize(video.file_size)}` : ''}`],
+            ['Části', video.chapters ? video.chapters.map(chapter =>
+                `${this.escapeHtml(chapter.original_filename)} · od ${this.formatTime(chapter.offset)}`
+            ).join('<br>') : null],
+            ['Rozlišení', video.width ? [
+                `${video.width}×${video.height}`,
+                video.rotation ? `otočeno o ${video.rotation}°` : null
+            ].filter(Boolean).join(' · ') : null],
+            ['Snímky', video.fps ? `${video.fps} fps${video.is_vfr ? ' · proměnlivá (VFR)' : ''}` : null],
+            ['Kodek', video.video_codec ? [
+                video.video_codec.toUpperCase(),
+                video.bit_depth ? `${video.bit_depth} bit` : null,
+                video.hdr_format ? `HDR ${video.hdr_format.toUpperCase()}` : null
+            ].filter(Boolean).join(' · ') : null],
+            ['Zvuk', video.has_audio === false ? 'bez zvuku' : video.audio_codec ? [
+                video.audio_codec.toUpperCase(),
+                channels[video.audio_channels] || (video.audio_channels ? `${video.audio_channels} kanálů` : null)
+            ].filter(Boolean).join(' · ') : null],
+            ['Kamera', [video.camera_make, video.camera_model].filter(Boolean).map(text => this.escapeHtml(text)).join(' ') || null],
+            ['Poloha', hasLocation ? `<a href="https://www.openstreetmap.org/?mlat=${video.latitude}&mlon=${video.longitude}#map=16/${video.latitude}/${video.longitude}" target="_blank" rel="noopener">${video.latitude.toFixed(5)}, ${video.longitude.toFixed(5)}</a>${video.altitude != null ? ` · ${Math.round(video.altitude)} m n. m.` : ''}` : null],
+            ['Pořízeno', video.metadata_date ? [
+                this.formatCaptureDate(video.metadata_date, video.timezone_offset),
+                video.clock_offset ? `opraveno ${this.formatCaptureDate(this.getBestDate(video), video.timezone_offset)}` : null
+            ].filter(Boolean).join(' · ') : null],
+            ['Hodiny', this.renderClockControls(video)],
+            ['Nahráno', [
+                video.upload_date ? new Date(video.upload_date).toLocaleString('cs-CZ') : null,
+                uploaders.length > 0 ? this.escapeHtml(uploaders.join(', ')) : null
+            ].filter(Boolean).join(' · ') || null]
+        ].filter(([, value]) => value);
+
+        panel.innerHTML = `<dl class="video-details-list">${rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}</dl>`;
+        panel.classList.remove('hidden');
+    }
+
+    renderClockControls(video) {
+        const reference = this.clockReference;
+        const canSync = reference && reference.videoId !== video.id && reference.group !== video.clock_group;
+
+        return `
+            <span class="clock-group" title="${this.escapeHtml(video.clock_group || '')}">${this.escapeHtml(video.clock_group || '')}</span>
+            <input type="text" class="input clock-offset-input" id="clock-offset" value="${this.formatClockOffset(video.clock_offset)}"
+                placeholder="+0:00:00" title="Posun hodin zařízení (±h:mm:ss)">
+            <button class="control-btn control-small" data-clock="save" title="Uložit posun pro všechna videa zařízení">💾</button>
+            <button class="control-btn control-small ${reference?.videoId === video.id ? 'active' : ''}" data-clock="reference"
+                title="Tento okamžik jako reference pro srovnání hodin">📍</button>
+            ${video.has_audio !== false ? `<button class="control-btn control-small" data-clock="audio"
+                title="Srovnat hodiny ostatních zařízení podle zvuku tohoto videa">🔊</button>` : ''}
+            ${canSync ? `<button class="control-btn control-small" data-clock="sync"
+                title="Stejný okamžik jako ${this.escapeHtml(reference.filename)} v ${this.formatTime(reference.time)}: srovnat hodiny">⏱️</button>` : ''}
+        `;
+    }
+
+    async handleClockAction(action) {
+        const video = this.videos.find(v => v.id === this.activeVideoId);
+        if (!video) return;
+
+        if (action === 'reference') {
+            this.clockReference = {
+                videoId: video.id,
+                time: this.elements.videoPlayer.currentTime || 0,
+                group: video.clock_group,
+                filename: video.original_filename
+            };
+            this.renderVideoDetails();
+            this.showToast('Reference nastavena, najděte stejný okamžik ve videu z jiného zařízení');
+            return;
+        }
+
+        try {
+            if (action === 'save') {
+                const offset = this.parseClockOffset(document.getElementById('clock-offset').value);
+                if (offset === null) {
+                    this.showToast('Neplatný posun, zadejte ±h:mm:ss', 'error');
+                    return;
+                }
+                const clockOffsets = { ...(this.project.clock_offsets || {}), [video.clock_group]: offset };
+                if (offset === 0) delete clockOffsets[video.clock_group];
+                await this.updateProject({ clock_offsets: clockOffsets });
+            } else if (action === 'sync') {
+                const response = await fetch(`/api/projects/${this.project.id}/clock-sync`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        reference: { video_id: this.clockReference.videoId, time: this.clockReference.time },
+                        target: { video_id: video.id, time: this.elements.videoPlayer.currentTime || 0 }
+                    })
+                });
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error);
+                Object.assign(this.project, data.project);
+                this.clockReference = null;
+            } else if (action === 'audio') {
+                const count = await this.applyAudioSync(video);
+                if (!count) return;
+                await this.refreshProject();
+                this.showToast(`Hodiny srovnány podle zvuku (${count} zařízení)`);
+                return;
+            }
+
+            await this.refreshProject();
+            this.renderVideoDetails();
+            const offset = this.project.clock_offsets?.[video.clock_group] || 0;
+            this.showToast(`Hodiny ${video.clock_group}: ${this.formatClockOffset(offset)}`);
+        } catch (error) {
+            this.showToast('Chyba: ' + error.message, 'error');
+        }
+    }
+
+    // Proposals from the server's audio comparison, applied after confirmation.
+    // Returns the number of devices whose clock was set.
+    async applyAudioSync(video) {
+        this.showToast('Porovnávám zvuk s videi z ostatních zařízení…');
+        const response = await fetch(`/api/projects/${this.project.id}/audio-sync`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reference_id: video.id })
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+
+        const reliable = data.proposals.filter(proposal => proposal.reliable);
+        if (reliable.length === 0) {
+            this.showToast('Zvuk se s žádným videem spolehlivě neshoduje', 'error');
+            return 0;
+        }
+
+        const lines = reliable.map(proposal =>
+            `${proposal.clock_group}: ${this.formatClockOffset(proposal.clock_offset)} (podle ${proposal.original_filename})`
+        );
+        if (!confirm(`Nastavit posun hodin?\n\n${lines.join('\n')}`)) return 0;
+
+        const clockOffsets = { ...(this.project.clock_offsets || {}) };
+        reliable.forEach(proposal => { clockOffsets[proposal.clock_group] = proposal.clock_offset; });
+        await this.updateProject({ clock_offsets: clockOffsets });
+        return reliable.length;
+    }
+
+    // "+2:03", "-0:00:30", "1:00:00" -> seconds, null when unreadable
+    parseClockOffset(text) {
+        const match = /^([+-−])?\s*(\d+)(?::(\d{1,2}))?(?::(\d{1,2}))?$/.exec(text.trim() || '0');
+        if (!match) return null;
+        const [, sign, hours, minutes = '0', seconds = '0'] = match;
+        const total = parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10);
+        return sign && sign !== '+' ? -total : total;
+    }
+
+    formatClockOffset(seconds) {
+        const total = Math.abs(Math.round(seconds || 0));
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${seconds < 0 ? '-' : '+'}${Math.floor(total / 3600)}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+    }
+
+    // Wall clock time of the camera when its UTC offset is known, else the viewer's
+    formatCaptureDate(date, offsetMinutes) {
+        if (offsetMinutes == null) {
+            return new Date(date).toLocaleString('cs-CZ');
+        }
+
+        const local = new Date(new Date(date).getTime() + offsetMinutes * 60000);
+        const sign = offsetMinutes < 0 ? '−' : '+';
+        const abs = Math.abs(offsetMinutes);
+        const offset = `${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+        return `${local.toLocaleString('cs-CZ', { timeZone: 'UTC' })} (UTC${sign}${offset})`;
+    }
+
+    async updateVideo(videoId, changes) {
+        const response = await fetch(`/api/videos/${videoId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        const video = this.videos.find(v => v.id === videoId);
+        if (video) Object.assign(video, changes);
+
+        return data.video;
+    }
+
+    async saveActiveVideoSettings(changes) {
+        if (!this.activeVideoId) return;
+
+        try {
+            await this.updateVideo(this.activeVideoId, changes);
+            this.renderClipSettings();
+            this.renderVideosList();
+            this.updateStats();
+        } catch (error) {
+            this.showToast('Chyba při ukládání nastavení: ' + error.message, 'error');
+        }
     }
 
     onVideoLoaded() {
@@ -740,11 +1528,36 @@ class VideoStitchApp {
 
         this.elements.marksContainer.innerHTML = video.marks.map(mark => {
             const duration = mark.out_point - mark.in_point;
+            const focus = Math.round((mark.crop_x ?? 0.5) * 100);
+            const defaultTransition = TRANSITION_LABELS[this.project?.transition_type] || TRANSITION_LABELS.cut;
             return `
                 <div class="mark-item">
                     <span class="mark-times">${this.formatTime(mark.in_point)} → ${this.formatTime(mark.out_point)}</span>
                     <span class="mark-duration">(${this.formatDuration(duration)})</span>
-                    <button class="mark-delete" data-id="${mark.id}" title="Smazat">✕</button>
+                    <input type="text" class="mark-label" data-id="${mark.id}" maxlength="200"
+                           placeholder="Popisek" title="Název kapitoly v exportu"
+                           value="${this.escapeHtml(mark.label || '').replace(/"/g, '&quot;')}">
+                    <div class="mark-actions">
+                        <select class="mark-transition" data-id="${mark.id}" title="Přechod do dalšího klipu">
+                            <option value="">↦ ${defaultTransition}</option>
+                            ${Object.entries(TRANSITION_LABELS).map(([type, label]) => `
+                                <option value="${type}" ${mark.transition_type === type ? 'selected' : ''}>↦ ${label}</option>
+                            `).join('')}
+                        </select>
+                        <input type="number" class="mark-transition-duration" data-id="${mark.id}"
+                               min="0.1" max="5" step="0.1" title="Délka přechodu (s)"
+                               value="${mark.transition_duration ?? ''}"
+                               placeholder="${this.project?.transition_duration ?? 0.5}">
+                        <button class="mark-action mark-text ${mark.overlay_type ? 'active' : ''}"
+                                data-id="${mark.id}" title="Text v obraze">T</button>
+                        <button class="mark-action mark-animation" data-id="${mark.id}" data-format="gif"
+                                title="Smyčka GIF">GIF</button>
+                        <button class="mark-action mark-animation" data-id="${mark.id}" data-format="webp"
+                                title="Animovaný WebP">WebP</button>
+                        <button class="mark-action mark-crop ${this.cropFocusMarkId === mark.id ? 'active' : ''}"
+                                data-id="${mark.id}" title="Střed výřezu pro ${this.cropAspect} (${focus} %)">🎯</button>
+                        <button class="mark-delete" data-id="${mark.id}" title="Smazat">✕</button>
+                    </div>
                 </div>
             `;
         }).join('');
@@ -755,6 +1568,160 @@ class VideoStitchApp {
                 this.deleteMark(btn.dataset.id);
             });
         });
+
+        this.elements.marksContainer.querySelectorAll('.mark-transition').forEach(select => {
+            select.addEventListener('change', () => {
+                this.updateMark(select.dataset.id, { transition_type: select.value || null })
+                    .catch(error => this.showToast('Chyba při ukládání přechodu: ' + error.message, 'error'));
+            });
+        });
+
+        this.elements.marksContainer.querySelectorAll('.mark-transition-duration').forEach(input => {
+            input.addEventListener('change', () => {
+                const value = input.value === '' ? null : parseFloat(input.value);
+                this.updateMark(input.dataset.id, { transition_duration: value })
+                    .catch(error => this.showToast('Chyba při ukládání přechodu: ' + error.message, 'error'));
+            });
+        });
+
+        this.elements.marksContainer.querySelectorAll('.mark-label').forEach(input => {
+            input.addEventListener('change', () => {
+                this.updateMark(input.dataset.id, { label: input.value.trim() || null })
+                    .catch(error => this.showToast('Chyba při ukládání popisku: ' + error.message, 'error'));
+            });
+        });
+
+        this.elements.marksContainer.querySelectorAll('.mark-text').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openOverlayEditor(btn.dataset.id);
+            });
+        });
+
+        this.elements.marksContainer.querySelectorAll('.mark-animation').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showToast(`Připravuji ${btn.dataset.format.toUpperCase()}...`);
+                this.downloadFile(`/api/marks/${btn.dataset.id}/animation?format=${btn.dataset.format}`);
+            });
+        });
+
+        this.elements.marksContainer.querySelectorAll('.mark-crop').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleCropFocus(btn.dataset.id);
+            });
+        });
+    }
+
+    async updateMark(markId, changes) {
+        const response = await fetch(`/api/marks/${markId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        const video = this.videos.find(v => v.id === data.mark.video_id);
+        const mark = video?.marks?.find(m => m.id === markId);
+        if (mark) Object.assign(mark, data.mark);
+
+        return data.mark;
+    }
+
+    // ==========================================
+    // Crop Focus (vertical / square exports)
+    // ==========================================
+
+    findActiveMark(markId) {
+        const video = this.videos.find(v => v.id === this.activeVideoId);
+        return video?.marks?.find(m => m.id === markId) || null;
+    }
+
+    toggleCropFocus(markId) {
+        if (this.cropFocusMarkId === markId) {
+            this.cropFocusMarkId = null;
+        } else {
+            const mark = this.findActiveMark(markId);
+            if (!mark) return;
+
+            this.cropFocusMarkId = markId;
+            this.elements.videoPlayer.pause();
+            this.elements.videoPlayer.currentTime = mark.in_point;
+            this.showToast(`Klikněte do videa na střed výřezu ${this.cropAspect}`);
+        }
+
+        this.renderCropGuide();
+        this.renderMarks();
+    }
+
+    // Displayed video rectangle and the crop window inside it (object-fit: contain)
+    getCropGeometry(focus) {
+        const player = this.elements.videoPlayer;
+        if (!player.videoWidth || !player.videoHeight) return null;
+
+        const scale = Math.min(player.clientWidth / player.videoWidth, player.clientHeight / player.videoHeight);
+        const width = player.videoWidth * scale;
+        const height = player.videoHeight * scale;
+        const left = player.offsetLeft + (player.clientWidth - width) / 2;
+        const top = player.offsetTop + (player.clientHeight - height) / 2;
+
+        const [ratioW, ratioH] = this.cropAspect.split(':').map(Number);
+        const cropWidth = Math.min(width, height * ratioW / ratioH);
+        const cropHeight = Math.min(height, width * ratioH / ratioW);
+
+        return {
+            left, top, width, height, cropWidth, cropHeight,
+            cropLeft: left + (width - cropWidth) * focus,
+            cropTop: top + (height - cropHeight) / 2
+        };
+    }
+
+    renderCropGuide() {
+        const mark = this.cropFocusMarkId ? this.findActiveMark(this.cropFocusMarkId) : null;
+        const geometry = mark ? this.getCropGeometry(mark.crop_x ?? 0.5) : null;
+
+        if (!geometry) {
+            this.elements.cropGuide.classList.add('hidden');
+            return;
+        }
+
+        Object.assign(this.elements.cropGuideWindow.style, {
+            left: `${geometry.cropLeft}px`,
+            top: `${geometry.cropTop}px`,
+            width: `${geometry.cropWidth}px`,
+            height: `${geometry.cropHeight}px`
+        });
+        this.elements.cropGuide.classList.remove('hidden');
+    }
+
+    async setCropFocusFromClick(e) {
+        const mark = this.findActiveMark(this.cropFocusMarkId);
+        const geometry = mark && this.getCropGeometry(0.5);
+        if (!geometry) return;
+
+        const rect = this.elements.cropGuide.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const free = geometry.width - geometry.cropWidth;
+        // Center the crop window on the clicked point
+        const focus = free > 0
+            ? Math.min(1, Math.max(0, (x - geometry.left - geometry.cropWidth / 2) / free))
+            : 0.5;
+
+        mark.crop_x = Math.round(focus * 1000) / 1000;
+        this.renderCropGuide();
+
+        try {
+            await this.updateMark(mark.id, { crop_x: mark.crop_x });
+            this.renderMarks();
+        } catch (error) {
+            this.showToast('Chyba při ukládání výřezu: ' + error.message, 'error');
+        }
     }
 
     renderTimelineMarks() {
@@ -777,32 +1744,405 @@ class VideoStitchApp {
     // Export
     // ==========================================
 
+    async loadExportPresets() {
+        if (this.exportPresets) return;
+
+        try {
+            const response = await fetch('/api/export-presets');
+            const data = await response.json();
+
+            if (data.success) {
+                this.exportPresets = data.presets;
+                this.elements.exportPreset.innerHTML = data.presets.map(p => `
+                    <option value="${p.id}" ${p.id === data.default ? 'selected' : ''}>
+                        ${p.label} • ${p.width}×${p.height} ${p.fps}fps
+                    </option>
+                `).join('');
+            }
+        } catch (error) {
+            console.error('Failed to load export presets:', error);
+        }
+    }
+
     showExportModal() {
-        const readyVideos = this.videos.filter(v => v.processing_status === 'ready' && v.included);
-        const totalMarks = readyVideos.reduce((sum, v) => sum + (v.marks?.length || 0), 0);
+        this.loadExportPresets();
+
+        this.elements.exportTransition.value = this.project?.transition_type || 'cut';
+        this.elements.exportTransitionDuration.value = this.project?.transition_duration ?? 0.5;
+        this.elements.exportPhotoDuration.value = this.project?.photo_duration ?? 4;
+
+        this.renderExportSummary();
+        this.renderMusicSettings();
+        this.renderCardsList();
+
+        this.elements.timelineLinks.querySelectorAll('a').forEach(link => {
+            link.href = `/api/projects/${this.project.id}/timeline?format=${link.dataset.format}`;
+        });
 
-        let totalDuration = 0;
+        this.elements.exportName.value = this.project?.name?.replace(/\s+/g, '_').toLowerCase() || 'export';
+        this.elements.exportModal.classList.add('visible');
+    }
+
+    // Segments in export order: title cards, marks by time (or whole videos
+    // without marks), end cards
+    getExportSegments() {
+        const readyVideos = this.videos
+            .filter(v => v.processing_status === 'ready' && v.included)
+            .sort((a, b) => (a.order_index || 0) - (b.order_index || 0));
+
+        const cardSegments = (kind) => this.cards
+            .filter(c => c.kind === kind)
+            .map(c => ({ card: c, mark: null, duration: c.duration }));
+
+        const segments = [...cardSegments('title')];
         readyVideos.forEach(v => {
-            if (v.marks && v.marks.length > 0) {
-                v.marks.forEach(m => totalDuration += (m.out_point - m.in_point));
+            const marks = (v.marks || [])
+                .filter(m => m.out_point > m.in_point)
+                .sort((a, b) => a.in_point - b.in_point);
+
+            if (marks.length > 0) {
+                marks.forEach(m => segments.push({ video: v, mark: m, duration: m.out_point - m.in_point }));
             } else if (v.duration) {
-                totalDuration += v.duration;
+                segments.push({ video: v, mark: null, duration: v.duration });
             }
         });
+        segments.push(...cardSegments('end'));
+        return segments;
+    }
+
+    // Total overlap of transitions, mirrors resolveTransitions on the server
+    getTransitionOverlap(segments) {
+        let overlap = 0;
+        for (let i = 0; i < segments.length - 1; i++) {
+            const mark = segments[i].mark;
+            const type = mark?.transition_type || this.project?.transition_type || 'cut';
+            if (type === 'cut') continue;
+
+            const requested = mark?.transition_duration ?? this.project?.transition_duration ?? 0.5;
+            overlap += Math.min(requested, Math.min(segments[i].duration, segments[i + 1].duration) / 2);
+        }
+        return overlap;
+    }
+
+    renderExportSummary() {
+        const readyVideos = this.videos.filter(v => v.processing_status === 'ready' && v.included);
+        const totalMarks = readyVideos.reduce((sum, v) => sum + (v.marks?.length || 0), 0);
+
+        const segments = this.getExportSegments();
+        const overlap = this.getTransitionOverlap(segments);
+        const totalDuration = segments.reduce((sum, s) => sum + s.duration, 0) - overlap;
+        const highlightTarget = this.getHighlightTarget();
 
         this.elements.exportSummary.innerHTML = `
             <p><strong>Videí k exportu:</strong> ${readyVideos.length}</p>
             <p><strong>Celkem značek:</strong> ${totalMarks}</p>
-            <p><strong>Odhadovaná délka:</strong> ${this.formatDuration(totalDuration)}</p>
+            <p><strong>Odhadovaná délka:</strong> ${highlightTarget
+                ? `${this.formatDuration(Math.min(highlightTarget, totalDuration))} (upoutávka)`
+                : this.formatDuration(totalDuration)}
+                ${overlap > 0 && !highlightTarget ? `<span class="summary-note">(přechody −${overlap.toFixed(1)} s)</span>` : ''}</p>
             <p style="margin-top: 10px; color: var(--text-muted); font-size: 12px;">
-                ${totalMarks > 0
-                ? 'Budou použity pouze označené části videí.'
-                : 'Budou použita celá videa (žádné značky nastaveny).'}
+                ${highlightTarget
+                ? 'Záběry se vyberou ze značek a z neoznačených videí, rovnoměrně podle autorů a zdrojů, v časovém pořadí.'
+                : totalMarks > 0
+                    ? 'Budou použity pouze označené části videí.'
+                    : 'Budou použita celá videa (žádné značky nastaveny).'}
             </p>
         `;
+    }
 
-        this.elements.exportName.value = this.project?.name?.replace(/\s+/g, '_').toLowerCase() || 'export';
-        this.elements.exportModal.classList.add('visible');
+    // Target length in seconds when the highlight reel mode is selected
+    getHighlightTarget() {
+        if (this.elements.exportMode.value !== 'highlight') return null;
+        const target = parseFloat(this.elements.exportHighlightTarget.value);
+        return isFinite(target) ? Math.min(600, Math.max(10, target)) : 60;
+    }
+
+    async updateProject(changes) {
+        const response = await fetch(`/api/projects/${this.project.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        Object.assign(this.project, data.project);
+        return this.project;
+    }
+
+    async saveTransitionDefaults() {
+        const duration = parseFloat(this.elements.exportTransitionDuration.value);
+
+        try {
+            await this.updateProject({
+                transition_type: this.elements.exportTransition.value,
+                transition_duration: isNaN(duration) ? 0.5 : Math.min(5, Math.max(0.1, duration))
+            });
+            this.elements.exportTransitionDuration.value = this.project.transition_duration;
+            this.renderExportSummary();
+            this.renderMarks();
+        } catch (error) {
+            this.showToast('Chyba při ukládání přechodu: ' + error.message, 'error');
+        }
+    }
+
+    async savePhotoDuration() {
+        const duration = parseFloat(this.elements.exportPhotoDuration.value);
+
+        try {
+            await this.updateProject({ photo_duration: isNaN(duration) ? 4 : Math.min(30, Math.max(1, duration)) });
+            this.elements.exportPhotoDuration.value = this.project.photo_duration;
+            // Photos without their own duration get the new one
+            await this.refreshProject();
+            this.renderExportSummary();
+        } catch (error) {
+            this.showToast('Chyba při ukládání délky fotek: ' + error.message, 'error');
+        }
+    }
+
+    // ==========================================
+    // Title Cards & Text Overlays
+    // ==========================================
+
+    renderCardsList() {
+        if (this.cards.length === 0) {
+            this.elements.cardsList.innerHTML = '';
+            return;
+        }
+
+        this.elements.cardsList.innerHTML = this.cards.map(card => `
+            <div class="card-item">
+                <span class="card-kind">${card.kind === 'title' ? 'Úvod' : 'Závěr'} • ${card.duration} s</span>
+                <span class="card-text" data-id="${card.id}" title="Upravit">${this.escapeHtml(card.text)}</span>
+                <button class="mark-delete card-delete" data-id="${card.id}" title="Smazat">✕</button>
+            </div>
+        `).join('');
+
+        this.elements.cardsList.querySelectorAll('.card-text').forEach(el => {
+            el.addEventListener('click', () => this.openCardEditor(el.dataset.id));
+        });
+        this.elements.cardsList.querySelectorAll('.card-delete').forEach(btn => {
+            btn.addEventListener('click', () => this.deleteCard(btn.dataset.id));
+        });
+    }
+
+    fillTextStyle(style, defaults) {
+        const merged = { ...defaults, ...(style || {}) };
+        this.elements.textFont.value = merged.font;
+        this.elements.textSize.value = merged.size;
+        this.elements.textPosition.value = merged.position;
+        this.elements.textFade.value = merged.fade;
+    }
+
+    readTextStyle() {
+        const number = (input, min, max, fallback) => {
+            const value = parseFloat(input.value);
+            return isNaN(value) ? fallback : Math.min(max, Math.max(min, value));
+        };
+
+        return {
+            font: this.elements.textFont.value,
+            size: number(this.elements.textSize, 2, 20, 5),
+            position: this.elements.textPosition.value,
+            fade: number(this.elements.textFade, 0, 3, 0.5)
+        };
+    }
+
+    openOverlayEditor(markId) {
+        const mark = this.findActiveMark(markId);
+        if (!mark) return;
+
+        this.textEditTarget = { type: 'mark', id: markId };
+        this.elements.textModalTitle.textContent = 'Text v obraze';
+        this.elements.textTypeGroup.classList.remove('hidden');
+        this.elements.textDurationGroup.classList.add('hidden');
+        this.elements.textType.value = mark.overlay_type || '';
+        this.elements.textContent.value = mark.overlay_text || '';
+        this.fillTextStyle(mark.overlay_style, { font: 'sans-bold', size: 5, position: 'bottom-left', fade: 0.5 });
+        this.updateTextPlaceholder();
+
+        this.elements.textModal.classList.add('visible');
+    }
+
+    openCardEditor(cardId, kind) {
+        const card = cardId ? this.cards.find(c => c.id === cardId) : null;
+
+        this.textEditTarget = { type: 'card', id: cardId, kind: card?.kind || kind };
+        this.elements.textModalTitle.textContent = this.textEditTarget.kind === 'title' ? 'Úvodní titulek' : 'Závěrečný titulek';
+        this.elements.textTypeGroup.classList.add('hidden');
+        this.elements.textDurationGroup.classList.remove('hidden');
+        this.elements.textContent.value = card?.text || (kind === 'title' ? this.project?.name || '' : '');
+        this.elements.textContent.placeholder = '';
+        this.elements.textDuration.value = card?.duration ?? 3;
+        this.fillTextStyle(card?.style, { font: 'sans-bold', size: 8, position: 'center', fade: 0.8 });
+
+        this.elements.textModal.classList.add('visible');
+    }
+
+    // Date overlays default to the clip's best date, shown as the placeholder
+    updateTextPlaceholder() {
+        const video = this.videos.find(v => v.id === this.activeVideoId);
+        this.elements.textContent.placeholder = this.elements.textType.value === 'date' && video
+            ? this.getBestDate(video).toLocaleDateString('cs-CZ', { day: 'numeric', month: 'long', year: 'numeric' })
+            : '';
+    }
+
+    hideTextModal() {
+        this.elements.textModal.classList.remove('visible');
+        this.textEditTarget = null;
+    }
+
+    async saveTextModal() {
+        const target = this.textEditTarget;
+        if (!target) return;
+
+        const text = this.elements.textContent.value.trim();
+        const style = this.readTextStyle();
+
+        try {
+            if (target.type === 'mark') {
+                const type = this.elements.textType.value || null;
+                await this.updateMark(target.id, {
+                    overlay_type: type,
+                    overlay_text: type ? text || null : null,
+                    overlay_style: type ? style : null
+                });
+                this.renderMarks();
+            } else {
+                if (!text) {
+                    this.showToast('Zadejte text titulku', 'error');
+                    return;
+                }
+
+                const duration = Math.min(30, Math.max(1, parseFloat(this.elements.textDuration.value) || 3));
+                await this.saveCard(target, { text, duration, style });
+                this.renderCardsList();
+                this.renderExportSummary();
+            }
+
+            this.hideTextModal();
+        } catch (error) {
+            this.showToast('Chyba při ukládání textu: ' + error.message, 'error');
+        }
+    }
+
+    async saveCard(target, changes) {
+        const response = await fetch(target.id ? `/api/cards/${target.id}` : `/api/projects/${this.project.id}/cards`, {
+            method: target.id ? 'PATCH' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(target.id ? changes : { ...changes, kind: target.kind, order_index: this.cards.length })
+        });
+
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        const existing = this.cards.find(c => c.id === data.card.id);
+        if (existing) {
+            Object.assign(existing, data.card);
+        } else {
+            this.cards.push(data.card);
+        }
+    }
+
+    async deleteCard(cardId) {
+        try {
+            await fetch(`/api/cards/${cardId}`, { method: 'DELETE' });
+            this.cards = this.cards.filter(c => c.id !== cardId);
+            this.renderCardsList();
+            this.renderExportSummary();
+        } catch (error) {
+            this.showToast('Chyba při mazání titulku', 'error');
+        }
+    }
+
+    renderMusicSettings() {
+        const project = this.project;
+        const hasMusic = !!project?.music_filename;
+
+        this.elements.musicName.textContent = hasMusic
+            ? `${project.music_filename}${project.music_duration ? ` (${this.formatDuration(project.music_duration)})` : ''}`
+            : 'Žádná hudba';
+        this.elements.btnMusicRemove.classList.toggle('hidden', !hasMusic);
+        this.elements.musicOptions.classList.toggle('hidden', !hasMusic);
+
+        if (hasMusic) {
+            this.elements.musicOffset.value = project.music_offset ?? 0;
+            this.elements.musicFadeIn.value = project.music_fade_in ?? 2;
+            this.elements.musicFadeOut.value = project.music_fade_out ?? 3;
+            this.elements.musicVolume.value = Math.round((project.music_volume ?? 0.3) * 100);
+            this.elements.musicDucking.checked = project.music_ducking !== false;
+        }
+    }
+
+    async uploadMusic(file) {
+        const formData = new FormData();
+        formData.append('music', file);
+
+        this.elements.musicName.textContent = `Nahrávám ${file.name}...`;
+
+        try {
+            const response = await fetch(`/api/projects/${this.project.id}/music`, {
+                method: 'POST',
+                body: formData
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+
+            Object.assign(this.project, data.project);
+            this.showToast('Hudba nahrána');
+        } catch (error) {
+            this.showToast('Chyba při nahrávání hudby: ' + error.message, 'error');
+        }
+
+        this.renderMusicSettings();
+    }
+
+    async removeMusic() {
+        try {
+            const response = await fetch(`/api/projects/${this.project.id}/music`, { method: 'DELETE' });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+
+            Object.assign(this.project, data.project);
+            this.renderMusicSettings();
+        } catch (error) {
+            this.showToast('Chyba při odebírání hudby: ' + error.message, 'error');
+        }
+    }
+
+    async saveMusicSettings() {
+        const number = (input, fallback) => {
+            const value = parseFloat(input.value);
+            return isNaN(value) ? fallback : Math.max(0, value);
+        };
+
+        try {
+            await this.updateProject({
+                music_offset: number(this.elements.musicOffset, 0),
+                music_fade_in: Math.min(30, number(this.elements.musicFadeIn, 2)),
+                music_fade_out: Math.min(30, number(this.elements.musicFadeOut, 3)),
+                music_volume: Math.min(2, number(this.elements.musicVolume, 30) / 100),
+                music_ducking: this.elements.musicDucking.checked
+            });
+        } catch (error) {
+            this.showToast('Chyba při ukládání hudby: ' + error.message, 'error');
+        }
+
+        this.renderMusicSettings();
     }
 
     hideExportModal() {
@@ -811,13 +2151,29 @@ class VideoStitchApp {
 
     async startExport() {
         const name = this.elements.exportName.value.trim() || 'export';
+        const preset = this.elements.exportPreset.value || undefined;
+        const aspect = this.elements.exportAspect.value;
+        const loudness = this.elements.exportLoudness.value === '' ? null : parseFloat(this.elements.exportLoudness.value);
+        const chapters = this.elements.exportChapters.value;
+        const chapterTitle = this.elements.exportChapterTitle.value;
+        const subtitles = this.elements.exportSubtitles.value || null;
+        const highlightTarget = this.getHighlightTarget();
         this.hideExportModal();
 
+        // Crop focus guide previews the last social format used
+        if (aspect !== '16:9') {
+            this.cropAspect = aspect;
+            localStorage.setItem('videostitch_crop_aspect', aspect);
+        }
+
         try {
             const response = await fetch(`/api/projects/${this.project.id}/export`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name })
+                body: JSON.stringify({
+                    name, preset, aspect, loudness, chapters, chapterTitle, subtitles, highlightTarget,
+                    createdBy: this.userName || 'anonymous'
+                })
             });
 
             const data = await response.json();
@@ -833,6 +2189,7 @@ class VideoStitchApp {
     }
 
     showExportProgress(exportId) {
+        this.activeExportId = exportId;
         this.elements.exportProgressModal.classList.add('visible');
         this.elements.exportProgressFill.style.width = '0%';
         this.elements.exportProgressText.textContent = 'Připravuji export...';
@@ -841,6 +2198,9 @@ class VideoStitchApp {
     }
 
     async pollExportStatus(exportId) {
+        // Another export was started meanwhile, that one has its own poll
+        if (exportId !== this.activeExportId) return;
+
         try {
             const response = await fetch(`/api/exports/${exportId}`);
             const data = await response.json();
@@ -860,8 +2220,10 @@ class VideoStitchApp {
                 } else if (exp.status === 'failed') {
                     this.elements.exportProgressModal.classList.remove('visible');
                     this.showToast('Export selhal: ' + (exp.error_message || 'Neznámá chyba'), 'error');
+                } else if (exp.status === 'cancelled') {
+                    this.elements.exportProgressModal.classList.remove('visible');
                 } else {
-                    this.elements.exportProgressText.textContent = `Zpracovávám... ${exp.progress}%`;
+                    this.elements.exportProgressText.textContent = this.formatExportProgress(exp);
                     setTimeout(() => this.pollExportStatus(exportId), 2000);
                 }
             }
@@ -871,6 +2233,190 @@ class VideoStitchApp {
         }
     }
 
+    formatExportProgress(exp) {
+        const phases = {
+            cutting: 'Stříhám klipy',
+            concatenating: 'Spojuji klipy',
+            encoding_audio: 'Kóduji zvuk'
+        };
+
+        if (exp.status === 'queued') return 'Čeká ve frontě...';
+
+        let text = `${phases[exp.phase] || 'Zpracovávám'}... ${exp.progress}%`;
+        if (exp.eta_seconds != null) {
+            text += ` • zbývá ~${this.formatDuration(Math.max(1, exp.eta_seconds))}`;
+        }
+        return text;
+    }
+
+    // Cancels a running export, or deletes a finished one with its file
+    async cancelExport(exportId) {
+        if (!exportId) return;
+
+        const exp = this.exports?.find(e => e.id === exportId);
+        const running = !exp || ['queued', 'processing'].includes(exp.status);
+        if (!running && !confirm('Opravdu chcete smazat tento export?')) return;
+
+        try {
+            const response = await fetch(`/api/exports/${exportId}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error);
+
+            if (exportId === this.activeExportId) {
+                this.activeExportId = null;
+                this.elements.exportProgressModal.classList.remove('visible');
+            }
+            this.showToast(running ? 'Export zrušen' : 'Export smazán');
+
+            if (this.elements.exportsModal.classList.contains('visible')) {
+                this.loadExports();
+            }
+        } catch (error) {
+            this.showToast('Chyba: ' + error.message, 'error');
+        }
+    }
+
+    // Current player position, grabbed from the original upload on the server
+    exportStill(format = 'jpg') {
+        if (!this.activeVideoId) return;
+
+        const time = this.elements.videoPlayer.currentTime || 0;
+        this.downloadFile(`/api/videos/${this.activeVideoId}/frame?t=${time.toFixed(3)}&format=${format}`);
+    }
+
+    // Fetches a server-rendered file and saves it under the server's filename
+    async downloadFile(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || response.statusText);
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            // Prefer the UTF-8 name, the plain one has accents replaced
+            const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/);
+            const plain = disposition.match(/filename="([^"]+)"/);
+            const filename = encoded ? decodeURIComponent(encoded[1]) : plain?.[1] || 'download';
+
+            const blobUrl = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = blobUrl;
+            link.download = filename;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+        } catch (error) {
+            this.showToast('Chyba při stahování: ' + error.message, 'error');
+        }
+    }
+
+    // ==========================================
+    // Export History
+    // ==========================================
+
+    async showExportsModal() {
+        this.exports = [];
+        this.elements.exportsList.innerHTML = '<p class="no-cache">Načítání...</p>';
+        this.elements.exportsModal.classList.add('visible');
+
+        // Preset labels for the list
+        await this.loadExportPresets();
+        this.loadExports();
+    }
+
+    hideExportsModal() {
+        this.elements.exportsModal.classList.remove('visible');
+        clearTimeout(this.exportsRefreshTimeout);
+    }
+
+    async loadExports() {
+        clearTimeout(this.exportsRefreshTimeout);
+
+        try {
+            const response = await fetch(`/api/projects/${this.project.id}/exports`);
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error);
+
+            this.exports = data.exports;
+            this.renderExportsList();
+            this.scheduleExportsRefresh();
+        } catch (error) {
+            console.error('Failed to load exports:', error);
+            this.elements.exportsList.innerHTML = '<p class="no-cache">Exporty se nepodařilo načíst</p>';
+        }
+    }
+
+    // Keep running exports moving while the panel is open. Only those are
+    // polled, the whole list checks every export's file in the storage.
+    scheduleExportsRefresh() {
+        clearTimeout(this.exportsRefreshTimeout);
+        const running = this.exports.filter(e => ['queued', 'processing'].includes(e.status));
+        if (running.length === 0) return;
+
+        this.exportsRefreshTimeout = setTimeout(async () => {
+            if (!this.elements.exportsModal.classList.contains('visible')) return;
+
+            const updates = await Promise.all(running.map(e =>
+                fetch(`/api/exports/${e.id}`).then(r => r.json()).catch(() => null)
+            ));
+            for (const data of updates) {
+                if (!data?.success) continue;
+                const index = this.exports.findIndex(e => e.id === data.export.id);
+                if (index >= 0) this.exports[index] = data.export;
+            }
+
+            this.renderExportsList();
+            this.scheduleExportsRefresh();
+        }, 3000);
+    }
+
+    renderExportsList() {
+        if (this.exports.length === 0) {
+            this.elements.exportsList.innerHTML = '<p class="no-cache">Zatím žádné exporty</p>';
+            return;
+        }
+
+        const statusLabels = {
+            queued: 'Ve frontě',
+            processing: 'Zpracovává se',
+            ready: 'Hotovo',
+            failed: 'Selhal',
+            cancelled: 'Zrušen'
+        };
+        const presetLabels = Object.fromEntries((this.exportPresets || []).map(p => [p.id, p.label]));
+
+        this.elements.exportsList.innerHTML = this.exports.map(exp => {
+            const running = ['queued', 'processing'].includes(exp.status);
+            const details = [
+                presetLabels[exp.preset] || exp.preset,
+                exp.options?.aspect,
+                exp.options?.highlightTarget ? `upoutávka ${exp.options.highlightTarget} s` : null,
+                exp.duration ? this.formatDuration(exp.duration) : null,
+                exp.file_size ? this.formatFileSize(exp.file_size) : null,
+                exp.created_by ? `od ${this.escapeHtml(exp.created_by)}` : null,
+                exp.created_at ? new Date(exp.created_at).toLocaleString('cs-CZ') : null
+            ].filter(Boolean);
+
+            let status = statusLabels[exp.status] || exp.status;
+            if (running) status = this.formatExportProgress(exp);
+            if (exp.status === 'failed' && exp.error_message) status += `: ${this.escapeHtml(exp.error_message)}`;
+            if (exp.expired) status += ' (soubor už není k dispozici)';
+
+            return `
+                <div class="export-item status-${exp.status}">
+                    <div class="export-item-info">
+                        <span class="export-item-name">${this.escapeHtml(exp.name || 'export')}</span>
+                        <span class="export-item-details">${details.join(' • ')}</span>
+                        <span class="export-item-status">${status}</span>
+                    </div>
+                    ${exp.download_url ? `<a class="btn btn-success btn-small" href="${exp.download_url}" download>Stáhnout</a>` : ''}
+                    ${exp.subtitles_url ? `<a class="btn btn-secondary btn-small" href="${exp.subtitles_url}" download>Titulky</a>` : ''}
+                    <button class="cached-delete" data-export-id="${exp.id}" title="${running ? 'Zrušit' : 'Smazat'}">✕</button>
+                </div>
+            `;
+        }).join('');
+    }
+
     // ==========================================
     // Keyboard Shortcuts
     // ==========================================
@@ -893,6 +2439,10 @@ class VideoStitchApp {
                 e.preventDefault();
                 this.setOutPoint();
                 break;
+            case 's':
+                e.preventDefault();
+                this.exportStill(e.shiftKey ? 'png' : 'jpg');
+                break;
             case 'arrowleft':
                 e.preventDefault();
                 this.skip(-5);
@@ -921,6 +2471,9 @@ class VideoStitchApp {
                 e.preventDefault();
                 this.selectNextVideo();
                 break;
+            case 'escape':
+                if (this.cropFocusMarkId) this.toggleCropFocus(this.cropFocusMarkId);
+                break;
         }
     }
 
@@ -965,6 +2518,19 @@ class VideoStitchApp {
         return this.formatTime(seconds);
     }
 
+    formatFileSize(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+        return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(1))} ${units[i]}`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     showToast(message, type = 'success') {
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
@@ -9,7 +9,9 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { spawn } = require('child_process');
+const { pipeline } = require('stream/promises');
 const multer = require('multer');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const { nanoid } = require('nanoid');
 
@@ -31,6 +33,7 @@ const localStore = {
     projects: new Map(),
     videos: new Map(),
     marks: new Map(),
+    cards: new Map(),
     exports: new Map()
 };
 
@@ -39,7 +42,6 @@ const localStore = {
 // ============================================
 
 let pool = null;
-let S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, getSignedUrl;
 
 if (!IS_LOCAL_MODE) {
     const { Pool } = require('pg');
@@ -47,18 +49,46 @@ if (!IS_LOCAL_MODE) {
         connectionString: process.env.DATABASE_URL,
         ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
     });
-
-    // R2 Storage
-    const s3sdk = require('@aws-sdk/client-s3');
-    const s3presigner = require('@aws-sdk/s3-request-presigner');
-    S3Client = s3sdk.S3Client;
-    PutObjectCommand = s3sdk.PutObjectCommand;
-    GetObjectCommand = s3sdk.GetObjectCommand;
-    DeleteObjectCommand = s3sdk.DeleteObjectCommand;
-    getSignedUrl = s3presigner.getSignedUrl;
 }
 
-const BUCKET_NAME = process.env.R2_BUCKET_NAME || 'videostitch';
+// ============================================
+// OBJECT STORAGE (R2, S3 or MinIO)
+// ============================================
+// Enabled by an endpoint plus credentials, independently of the database
+// mode, so a local server can be tested against MinIO.
+
+const S3_ENDPOINT = process.env.S3_ENDPOINT ||
+    (process.env.R2_ACCOUNT_ID ? `https://${process.env.R2_ACCOUNT_ID}.r2.cloudflarestorage.com` : null);
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || process.env.R2_ACCESS_KEY_ID;
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || process.env.R2_SECRET_ACCESS_KEY;
+const IS_OBJECT_STORAGE_ENABLED = !!(S3_ENDPOINT && S3_ACCESS_KEY_ID && S3_SECRET_ACCESS_KEY);
+
+const BUCKET_NAME = process.env.S3_BUCKET || process.env.R2_BUCKET_NAME || 'videostitch';
+
+let s3 = null;
+let S3Client, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand, getSignedUrl;
+
+if (IS_OBJECT_STORAGE_ENABLED) {
+    ({
+        S3Client, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand,
+        AbortMultipartUploadCommand, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand
+    } = require('@aws-sdk/client-s3'));
+    ({ getSignedUrl } = require('@aws-sdk/s3-request-presigner'));
+
+    s3 = new S3Client({
+        endpoint: S3_ENDPOINT,
+        // R2 maps us-east-1 to "auto", MinIO rejects signatures for other regions
+        region: process.env.S3_REGION || 'us-east-1',
+        // MinIO only does path-style addressing, R2 accepts both
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+        credentials: { accessKeyId: S3_ACCESS_KEY_ID, secretAccessKey: S3_SECRET_ACCESS_KEY },
+        // Default CRC32 checksums end up in presigned part URLs, browsers cannot send them
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        responseChecksumValidation: 'WHEN_REQUIRED'
+    });
+    console.log(`🪣 Object storage: ${S3_ENDPOINT} (bucket ${BUCKET_NAME})`);
+}
 
 // ============================================
 // DIRECTORIES
@@ -73,6 +103,333 @@ const thumbnailDir = process.env.NODE_ENV === 'production' ? '/tmp/thumbnails' :
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 });
 
+// ============================================
+// FILE STORAGE
+// ============================================
+// Every kept file goes through a driver by key: originals/<projectId>/…,
+// music/<projectId>/…, proxies/<videoId>.mp4, thumbnails/<videoId>.jpg and
+// exports/<file>. ffmpeg works on local files, so put() takes a local file
+// and getLocalPath() hands one out (a cached download for S3). Jobs that use
+// a file for long (processing, exports) hold() it and release() it when done.
+
+const STORAGE_KINDS = {
+    originals: uploadDir,
+    music: path.join(uploadDir, 'music'),
+    proxies: proxyDir,
+    thumbnails: thumbnailDir,
+    exports: exportDir
+};
+
+// Keys also come from URLs, so only known kinds and plain path segments pass
+function isValidStorageKey(key) {
+    if (typeof key !== 'string') return false;
+    const [kind, ...rest] = key.split('/');
+    return Object.hasOwn(STORAGE_KINDS, kind) && rest.length > 0 &&
+        rest.every(part => part && part !== '.' && part !== '..');
+}
+
+// URL the client uses for a stored file
+function fileUrl(key, download = false) {
+    return `/files/${key}${download ? '?download' : ''}`;
+}
+
+async function moveFile(from, to) {
+    await fs.promises.mkdir(path.dirname(to), { recursive: true });
+    try {
+        await fs.promises.rename(from, to);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(from, to);
+        await fs.promises.rm(from, { force: true });
+    }
+}
+
+function contentDisposition(filename) {
+    const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// Files on this server's disk, in the directories above
+class LocalStorageDriver {
+    resolve(key) {
+        const [kind, ...rest] = key.split('/');
+        return path.join(STORAGE_KINDS[kind], ...rest);
+    }
+
+    async put(key, filePath) {
+        const target = this.resolve(key);
+        if (path.resolve(filePath) !== target) await moveFile(filePath, target);
+    }
+
+    async getLocalPath(key) {
+        const filePath = this.resolve(key);
+        return fs.existsSync(filePath) ? filePath : null;
+    }
+
+    // The files live here, nothing to keep or free
+    async hold(key) {
+        return this.getLocalPath(key);
+    }
+
+    async release() {}
+
+    async exists(key) {
+        return fs.existsSync(this.resolve(key));
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.resolve(key), { force: true });
+    }
+
+    // Express handles Range requests for the video element
+    async send(req, res, key, downloadName) {
+        const filePath = this.resolve(key);
+        if (downloadName) {
+            res.download(filePath, downloadName);
+        } else {
+            res.sendFile(filePath);
+        }
+    }
+}
+
+// Single PUTs stop at 5 GB, larger files go up in parts of this size
+const S3_PUT_PART_SIZE = 64 * 1024 * 1024;
+const FILE_URL_EXPIRY = 3600;
+// Local copies of bucket objects: least recently used go over this size,
+// except held ones and those handed out in the last few minutes
+const STORAGE_CACHE_LIMIT = (parseFloat(process.env.STORAGE_CACHE_LIMIT_GB) || 20) * 1024 ** 3;
+const STORAGE_CACHE_GRACE = 10 * 60 * 1000;
+
+function isMissingObject(error) {
+    return error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+}
+
+// Objects in the bucket. Local copies are kept in cacheDir for ffmpeg and
+// a file given to put() becomes the cached copy right away. The cache is
+// trimmed to STORAGE_CACHE_LIMIT, a file's mtime marks its last use.
+class S3StorageDriver {
+    constructor(cacheDir, serveMode) {
+        this.cacheDir = cacheDir;
+        this.serveMode = serveMode;
+        // Readers of one key share a single download
+        this.downloads = new Map();
+        // Key -> number of jobs holding its local copy
+        this.holds = new Map();
+        this.trimming = null;
+    }
+
+    cachePath(key) {
+        return path.join(this.cacheDir, ...key.split('/'));
+    }
+
+    async put(key, filePath, contentType = 'application/octet-stream') {
+        const { size } = await fs.promises.stat(filePath);
+        if (size <= S3_PUT_PART_SIZE) {
+            await s3.send(new PutObjectCommand({
+                Bucket: BUCKET_NAME,
+                Key: key,
+                Body: fs.createReadStream(filePath),
+                ContentLength: size,
+                ContentType: contentType
+            }));
+        } else {
+            await this.putMultipart(key, filePath, size, contentType);
+        }
+        const cachePath = this.cachePath(key);
+        await moveFile(filePath, cachePath);
+        await this.touch(cachePath);
+        this.trim();
+    }
+
+    async putMultipart(key, filePath, size, contentType) {
+        const { UploadId } = await s3.send(new CreateMultipartUploadCommand({
+            Bucket: BUCKET_NAME,
+            Key: key,
+            ContentType: contentType
+        }));
+
+        try {
+            const parts = [];
+            for (let start = 0; start < size; start += S3_PUT_PART_SIZE) {
+                const end = Math.min(start + S3_PUT_PART_SIZE, size);
+                const partNumber = parts.length + 1;
+                const result = await s3.send(new UploadPartCommand({
+                    Bucket: BUCKET_NAME,
+                    Key: key,
+                    UploadId,
+                    PartNumber: partNumber,
+                    Body: fs.createReadStream(filePath, { start, end: end - 1 }),
+                    ContentLength: end - start
+                }));
+                parts.push({ PartNumber: partNumber, ETag: result.ETag });
+            }
+
+            await s3.send(new CompleteMultipartUploadCommand({
+                Bucket: BUCKET_NAME,
+                Key: key,
+                UploadId,
+                MultipartUpload: { Parts: parts }
+            }));
+        } catch (error) {
+            await s3.send(new AbortMultipartUploadCommand({ Bucket: BUCKET_NAME, Key: key, UploadId })).catch(() => {});
+            throw error;
+        }
+    }
+
+    async getLocalPath(key) {
+        const filePath = this.cachePath(key);
+        if (fs.existsSync(filePath)) {
+            await this.touch(filePath);
+            return filePath;
+        }
+
+        if (!this.downloads.has(key)) {
+            const download = this.download(key, filePath).finally(() => {
+                this.downloads.delete(key);
+                this.trim();
+            });
+            this.downloads.set(key, download);
+        }
+        return this.downloads.get(key);
+    }
+
+    // Kept in the cache until released, however long the job takes
+    async hold(key) {
+        this.holds.set(key, (this.holds.get(key) || 0) + 1);
+        try {
+            return await this.getLocalPath(key);
+        } catch (error) {
+            await this.release(key);
+            throw error;
+        }
+    }
+
+    // The local copy goes with the last job holding it
+    async release(key) {
+        const count = (this.holds.get(key) || 1) - 1;
+        if (count > 0) {
+            this.holds.set(key, count);
+            return;
+        }
+        this.holds.delete(key);
+        await fs.promises.rm(this.cachePath(key), { force: true });
+    }
+
+    async touch(filePath) {
+        const now = new Date();
+        await fs.promises.utimes(filePath, now, now).catch(() => {});
+    }
+
+    // One trim at a time, the next put or download starts another
+    trim() {
+        if (!this.trimming) {
+            this.trimming = this.evict()
+                .catch(error => console.error('Storage cache trim failed:', error))
+                .finally(() => { this.trimming = null; });
+        }
+        return this.trimming;
+    }
+
+    async evict() {
+        if (!fs.existsSync(this.cacheDir)) return;
+
+        const held = new Set([...this.holds.keys(), ...this.downloads.keys()].map(key => this.cachePath(key)));
+        const entries = await fs.promises.readdir(this.cacheDir, { recursive: true, withFileTypes: true });
+        const files = [];
+        let total = 0;
+        for (const entry of entries) {
+            if (!entry.isFile()) continue;
+            const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+            const stat = await fs.promises.stat(filePath).catch(() => null);
+            if (!stat) continue;
+            total += stat.size;
+            files.push({ path: filePath, size: stat.size, used: stat.mtimeMs });
+        }
+
+        const cutoff = Date.now() - STORAGE_CACHE_GRACE;
+        files.sort((a, b) => a.used - b.used);
+        for (const file of files) {
+            if (total <= STORAGE_CACHE_LIMIT) break;
+            if (file.used > cutoff || held.has(file.path) || file.path.endsWith('.download')) continue;
+            await fs.promises.rm(file.path, { force: true });
+            total -= file.size;
+        }
+    }
+
+    async download(key, filePath) {
+        const partPath = `${filePath}.download`;
+        try {
+            const result = await s3.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await pipeline(result.Body, fs.createWriteStream(partPath));
+            await fs.promises.rename(partPath, filePath);
+            return filePath;
+        } catch (error) {
+            await fs.promises.rm(partPath, { force: true });
+            if (isMissingObject(error)) return null;
+            throw error;
+        }
+    }
+
+    async exists(key) {
+        try {
+            await s3.send(new HeadObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+            return true;
+        } catch (error) {
+            if (isMissingObject(error)) return false;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.cachePath(key), { force: true });
+        await s3.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+    }
+
+    // Redirects to a signed URL unless the bucket is not reachable from
+    // browsers, then the bytes go through this server
+    async send(req, res, key, downloadName) {
+        if (this.serveMode !== 'stream') {
+            const url = await getSignedUrl(s3, new GetObjectCommand({
+                Bucket: BUCKET_NAME,
+                Key: key,
+                ResponseContentDisposition: downloadName ? contentDisposition(downloadName) : undefined
+            }), { expiresIn: FILE_URL_EXPIRY });
+            return res.redirect(302, url);
+        }
+
+        const result = await s3.send(new GetObjectCommand({
+            Bucket: BUCKET_NAME,
+            Key: key,
+            Range: req.headers.range
+        }));
+        res.status(result.ContentRange ? 206 : 200);
+        res.set({
+            'Content-Type': result.ContentType || 'application/octet-stream',
+            'Content-Length': result.ContentLength,
+            'Accept-Ranges': 'bytes'
+        });
+        if (result.ContentRange) res.set('Content-Range', result.ContentRange);
+        if (downloadName) res.set('Content-Disposition', contentDisposition(downloadName));
+        await pipeline(result.Body, res);
+    }
+}
+
+// S3 by default whenever a bucket is configured
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (IS_OBJECT_STORAGE_ENABLED ? 's3' : 'local');
+if (STORAGE_DRIVER === 's3' && !IS_OBJECT_STORAGE_ENABLED) {
+    throw new Error('STORAGE_DRIVER=s3 needs S3_ENDPOINT, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+}
+if (STORAGE_DRIVER !== 's3' && STORAGE_DRIVER !== 'local') {
+    throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}"`);
+}
+
+const storageCacheDir = process.env.NODE_ENV === 'production' ? '/tmp/storage-cache' : path.join(__dirname, 'storage-cache');
+const fileStorage = STORAGE_DRIVER === 's3'
+    ? new S3StorageDriver(storageCacheDir, process.env.S3_SERVE_MODE)
+    : new LocalStorageDriver();
+console.log(`🗄️ File storage: ${STORAGE_DRIVER}`);
+
 // ============================================
 // MULTER SETUP
 // ============================================
@@ -85,16 +442,34 @@ const storage = multer.diskStorage({
     }
 });
 
+const MAX_UPLOAD_SIZE = 5 * 1024 * 1024 * 1024;
+const VIDEO_EXTENSIONS = /^(mp4|mov|avi|mkv|webm|m4v|3gp)$/i;
+const PHOTO_EXTENSIONS = /^(jpe?g|png|heic|heif)$/i;
+const HEIF_EXTENSIONS = /^(heic|heif)$/i;
+// Voice memos (iPhone m4a, Android amr/ogg) and recorder files
+const AUDIO_EXTENSIONS = /^(m4a|mp3|wav|aac|ogg|opus|amr)$/i;
+const MUSIC_EXTENSIONS = /^(mp3|m4a|wav|aac)$/i;
+
+// 'video', 'photo', 'audio' by extension, null for anything else
+function getMediaType(filename) {
+    const ext = path.extname(filename || '').slice(1);
+    if (VIDEO_EXTENSIONS.test(ext)) return 'video';
+    if (PHOTO_EXTENSIONS.test(ext)) return 'photo';
+    if (AUDIO_EXTENSIONS.test(ext)) return 'audio';
+    return null;
+}
+
 const upload = multer({
     storage,
-    limits: { fileSize: 5 * 1024 * 1024 * 1024 },
+    limits: { fileSize: MAX_UPLOAD_SIZE },
     fileFilter: (req, file, cb) => {
-        const allowedTypes = /mp4|mov|avi|mkv|webm|m4v|3gp/i;
+        // Soundtracks are uploaded under the "music" field, everything else is project media
+        const isMusic = file.fieldname === 'music';
         const ext = path.extname(file.originalname).toLowerCase().slice(1);
-        if (allowedTypes.test(ext)) {
+        if (isMusic ? MUSIC_EXTENSIONS.test(ext) : getMediaType(file.originalname)) {
             cb(null, true);
         } else {
-            cb(new Error('Nepodporovaný formát videa'));
+            cb(new Error(isMusic ? 'Nepodporovaný formát hudby' : 'Nepodporovaný formát souboru'));
         }
     }
 });
@@ -103,15 +478,31 @@ const upload = multer({
 // MIDDLEWARE
 // ============================================
 
-app.use(cors());
+// Resumable upload clients read these from cross-origin responses
+app.use(cors({ exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'Upload-Video-Id', 'Upload-Error', 'Upload-Duplicate-Of', 'Tus-Resumable', 'Tus-Version'] }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Serve local files
+// Proxy and thumbnail URLs saved before the storage drivers point here
 app.use('/proxies', express.static(proxyDir));
 app.use('/thumbnails', express.static(thumbnailDir));
-app.use('/uploads', express.static(uploadDir));
-app.use('/exports', express.static(exportDir));
+
+// Stored files, streamed or redirected to a signed URL by the driver.
+// "?download" (optionally with a filename) asks for an attachment.
+app.get('/files/*', async (req, res) => {
+    const key = req.params[0];
+    try {
+        if (!isValidStorageKey(key) || !(await fileStorage.exists(key))) {
+            return res.status(404).json({ error: 'Soubor nenalezen' });
+        }
+        const { download } = req.query;
+        const downloadName = typeof download === 'string' ? (path.basename(download) || path.basename(key)) : null;
+        await fileStorage.send(req, res, key, downloadName);
+    } catch (error) {
+        console.error('File serve error:', error);
+        if (!res.headersSent) res.status(500).json({ error: error.message });
+    }
+});
 
 // ============================================
 // UTILITY FUNCTIONS
@@ -152,6 +543,207 @@ function detectVideoSource(filename) {
     return 'other';
 }
 
+// Picks the fields present in body that have a validator, e.g. for PATCH routes.
+// Returns { updates } or { error } when a value does not validate.
+function pickValidFields(body, validators) {
+    const updates = {};
+    for (const [field, isValid] of Object.entries(validators)) {
+        if (!(field in body)) continue;
+        if (!isValid(body[field])) {
+            return { error: `Neplatná hodnota: ${field}` };
+        }
+        updates[field] = body[field];
+    }
+    return { updates };
+}
+
+// UPDATE ... SET a = $1, b = $2 WHERE id = $n RETURNING * (cloud mode)
+async function updateRow(table, id, updates) {
+    const fields = Object.keys(updates);
+    const assignments = fields.map((field, i) => `${field} = $${i + 1}`).join(', ');
+    const result = await pool.query(
+        `UPDATE ${table} SET ${assignments} WHERE id = $${fields.length + 1} RETURNING *`,
+        [...Object.values(updates), id]
+    );
+    return result.rows[0] || null;
+}
+
+const isUnitInterval = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+const isStillDuration = (v) => typeof v === 'number' && v >= 1 && v <= 30;
+
+// Cameras with a reset clock can be years off
+const CLOCK_OFFSET_LIMIT = 20 * 365 * 24 * 3600;
+
+// { clock group: seconds added to its camera dates }
+function isClockOffsets(v) {
+    if (typeof v !== 'object' || v === null || Array.isArray(v)) return false;
+    const entries = Object.entries(v);
+    return entries.length <= 200 && entries.every(([group, offset]) =>
+        group.length <= 300 && typeof offset === 'number' && isFinite(offset) && Math.abs(offset) <= CLOCK_OFFSET_LIMIT
+    );
+}
+const isTransitionDuration = (v) => typeof v === 'number' && v >= 0.1 && v <= 5;
+
+// { font, size (% of frame height), position, fade (s) }, all keys optional
+function isOverlayStyle(v) {
+    if (typeof v !== 'object' || v === null || Array.isArray(v)) return false;
+    if ('font' in v && !OVERLAY_FONTS[v.font]) return false;
+    if ('size' in v && !(typeof v.size === 'number' && v.size >= 2 && v.size <= 20)) return false;
+    if ('position' in v && !OVERLAY_POSITIONS[v.position]) return false;
+    if ('fade' in v && !(typeof v.fade === 'number' && v.fade >= 0 && v.fade <= 3)) return false;
+    return Object.keys(v).every(key => ['font', 'size', 'position', 'fade'].includes(key));
+}
+
+// Same priority as the client's smart sort: metadata, filename, upload date.
+// Camera dates are shifted by the clock offset of the device (see getProjectVideos).
+function getBestDate(video) {
+    const cameraDate = video.metadata_date || video.filename_date;
+    if (cameraDate) {
+        return new Date(new Date(cameraDate).getTime() + (video.clock_offset || 0) * 1000);
+    }
+    return video.upload_date ? new Date(video.upload_date) : null;
+}
+
+// Videos whose dates come from the same clock: "Petr · GoPro HERO9 Black"
+function getClockGroup(video) {
+    const make = video.camera_make || '';
+    const model = video.camera_model || '';
+    const device = (model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`).trim()
+        || video.source || 'video';
+    return `${video.uploaded_by || 'anonymous'} · ${device}`;
+}
+
+// "30000/1001" -> 29.97
+function parseFrameRate(rate) {
+    if (!rate) return null;
+    const [num, den = '1'] = String(rate).split('/');
+    const fps = parseFloat(num) / parseFloat(den);
+    return isFinite(fps) && fps > 0 ? Math.round(fps * 1000) / 1000 : null;
+}
+
+// Frame rates further apart than this mean variable frame rate (phones)
+const VFR_TOLERANCE = 0.001;
+
+const HDR_TRANSFERS = { smpte2084: 'pq', 'arib-std-b67': 'hlg' };
+
+// "+50.0833+014.4167+250.000/" (QuickTime and Android location tags)
+function parseIso6709(value) {
+    const match = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/.exec(value || '');
+    if (!match) return null;
+    return toLocation(parseFloat(match[1]), parseFloat(match[2]), match[3] ? parseFloat(match[3]) : null);
+}
+
+// 0,0 is what cameras write before they have a fix
+function toLocation(latitude, longitude, altitude = null) {
+    if (!isFinite(latitude) || !isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    if (latitude === 0 && longitude === 0) return null;
+    return { latitude, longitude, altitude: isFinite(altitude) ? altitude : null };
+}
+
+/**
+ * Capture time with the camera's UTC offset. iPhones write local time with
+ * an offset in creationdate; creation_time alone is UTC, offset unknown.
+ */
+function parseCaptureDate(tags) {
+    const local = tags['com.apple.quicktime.creationdate'];
+    const match = local && /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?)([+-])(\d{2}):?(\d{2})$/.exec(local);
+    if (match) {
+        const offset = (match[2] === '-' ? -1 : 1) * (parseInt(match[3], 10) * 60 + parseInt(match[4], 10));
+        const date = new Date(`${match[1]}${match[2]}${match[3]}:${match[4]}`);
+        if (!isNaN(date)) return { date, timezoneOffset: offset };
+    }
+
+    const date = tags.creation_time ? new Date(tags.creation_time) : null;
+    return { date: date && !isNaN(date) ? date : null, timezoneOffset: null };
+}
+
+// Make and model from QuickTime, Android, GoPro and DJI tags
+function parseCamera(tags, streams) {
+    let make = tags['com.apple.quicktime.make'] || tags['com.android.manufacturer'] || tags.make || null;
+    let model = tags['com.apple.quicktime.model'] || tags['com.android.model'] || tags.model || null;
+
+    const isGoPro = streams.some(s => /gopro/i.test(s.tags?.handler_name || ''));
+    if (!make && isGoPro) {
+        make = 'GoPro';
+        // Firmware "HD9.01.01.60.00" is a HERO9
+        const hero = /^HD(\d+)\./.exec(tags.firmware || '');
+        model = hero ? `HERO${hero[1]}` : tags.firmware || null;
+    }
+
+    const dji = /^DJI\s*(.*)$/i.exec(tags.encoder || '');
+    if (!make && dji) {
+        make = 'DJI';
+        model = dji[1] || null;
+    }
+
+    return { make, model };
+}
+
+// Degrees clockwise the player turns the picture
+function parseRotation(videoStream) {
+    const matrix = videoStream?.side_data_list?.find(d => d.rotation !== undefined);
+    const degrees = matrix ? -parseFloat(matrix.rotation) : parseFloat(videoStream?.tags?.rotate);
+    if (!isFinite(degrees)) return 0;
+    return ((Math.round(degrees / 90) * 90) % 360 + 360) % 360;
+}
+
+function parseBitDepth(videoStream) {
+    const bits = parseInt(videoStream?.bits_per_raw_sample, 10);
+    if (bits > 0) return bits;
+    const match = /p(\d+)(?:le|be)?$/.exec(videoStream?.pix_fmt || '');
+    if (match) return parseInt(match[1], 10);
+    return videoStream?.pix_fmt ? 8 : null;
+}
+
+// Location tracks that are not plain tags: GoPro GPMF, DJI telemetry subtitles
+function findTelemetryStream(streams, camera) {
+    const gpmf = streams.find(s => s.codec_tag_string === 'gpmd' || /gopro met/i.test(s.tags?.handler_name || ''));
+    if (gpmf) return { type: 'gpmf', index: gpmf.index };
+
+    const subtitles = streams.find(s => s.codec_type === 'subtitle');
+    if (subtitles && camera.make === 'DJI') return { type: 'dji-srt', index: subtitles.index };
+
+    return null;
+}
+
+function parseProbeData(data) {
+    const streams = data.streams || [];
+    const videoStream = streams.find(s => s.codec_type === 'video');
+    const audioStream = streams.find(s => s.codec_type === 'audio');
+    const format = data.format || {};
+    const tags = format.tags || {};
+
+    const avgFps = parseFrameRate(videoStream?.avg_frame_rate);
+    const realFps = parseFrameRate(videoStream?.r_frame_rate);
+    const capture = parseCaptureDate(tags);
+    const camera = parseCamera(tags, streams);
+
+    return {
+        duration: parseFloat(format.duration) || 0,
+        width: videoStream?.width || 0,
+        height: videoStream?.height || 0,
+        fps: avgFps || realFps,
+        isVfr: !!(avgFps && realFps && Math.abs(avgFps - realFps) / realFps > VFR_TOLERANCE),
+        // Embedded start timecode (GoPro, pro cameras), used when relinking in NLEs
+        timecode: videoStream?.tags?.timecode || tags.timecode ||
+            streams.find(s => s.tags?.timecode)?.tags.timecode || null,
+        videoCodec: videoStream?.codec_name || null,
+        bitDepth: parseBitDepth(videoStream),
+        colorTransfer: videoStream?.color_transfer || null,
+        hdrFormat: HDR_TRANSFERS[videoStream?.color_transfer] || null,
+        rotation: parseRotation(videoStream),
+        hasAudio: !!audioStream,
+        audioCodec: audioStream?.codec_name || null,
+        audioChannels: audioStream?.channels || null,
+        cameraMake: camera.make,
+        cameraModel: camera.model,
+        location: parseIso6709(tags['com.apple.quicktime.location.ISO6709'] || tags.location || tags['location-eng']),
+        telemetry: findTelemetryStream(streams, camera),
+        creationTime: capture.date,
+        timezoneOffset: capture.timezoneOffset
+    };
+}
+
 async function getVideoMetadata(filePath) {
     return new Promise((resolve) => {
         const ffprobe = spawn('ffprobe', [
@@ -168,15 +760,7 @@ async function getVideoMetadata(filePath) {
                 return;
             }
             try {
-                const data = JSON.parse(stdout);
-                const videoStream = data.streams?.find(s => s.codec_type === 'video');
-                const format = data.format || {};
-                resolve({
-                    duration: parseFloat(format.duration) || 0,
-                    width: videoStream?.width || 0,
-                    height: videoStream?.height || 0,
-                    creationTime: format.tags?.creation_time ? new Date(format.tags.creation_time) : null
-                });
+                resolve(parseProbeData(JSON.parse(stdout)));
             } catch (e) {
                 resolve(null);
             }
@@ -184,89 +768,532 @@ async function getVideoMetadata(filePath) {
     });
 }
 
-// ============================================
-// DEBUG LOGGER
-// ============================================
-const MAX_LOGS = 100;
-const memoryLogs = [];
+// Telemetry is read from the start of the track only, the first fix is enough
+const TELEMETRY_READ_LIMIT = 2 * 1024 * 1024;
 
-function log(message, type = 'info') {
-    const entry = {
-        timestamp: new Date().toISOString(),
-        type,
-        message: typeof message === 'string' ? message : JSON.stringify(message)
-    };
-    memoryLogs.unshift(entry);
-    if (memoryLogs.length > MAX_LOGS) memoryLogs.pop();
+// Raw bytes of one stream, cut off after `limit`
+function readStreamBytes(filePath, streamIndex, format, limit) {
+    return new Promise((resolve) => {
+        const ffmpeg = spawn('ffmpeg', [
+            '-v', 'error', '-i', filePath,
+            '-map', `0:${streamIndex}`,
+            ...(format === 'data' ? ['-c', 'copy'] : []),
+            '-f', format, 'pipe:1'
+        ]);
 
-    // Also log to console
-    if (type === 'error') console.error(`[${entry.timestamp}] ${entry.message}`);
-    else console.log(`[${entry.timestamp}] ${entry.message}`);
+        const chunks = [];
+        let size = 0;
+        ffmpeg.stdout.on('data', (chunk) => {
+            chunks.push(chunk);
+            size += chunk.length;
+            if (size >= limit) ffmpeg.kill();
+        });
+        ffmpeg.on('error', () => resolve(null));
+        ffmpeg.on('close', () => resolve(size > 0 ? Buffer.concat(chunks) : null));
+    });
 }
 
-async function generateProxy(inputPath, outputPath) {
-    return new Promise((resolve, reject) => {
-        log(`🎬 FFmpeg Start: ${inputPath} -> ${outputPath}`);
+const GPMF_SIZES = { b: 1, B: 1, s: 2, S: 2, l: 4, L: 4, f: 4 };
 
-        const ffmpeg = spawn('ffmpeg', [
-            '-i', inputPath,
-            '-vf', 'scale=640:-2',
-            '-c:v', 'libx264',
-            '-preset', 'ultrafast',
-            '-crf', '32', // Lower quality for speed
-            '-r', '24',
-            '-c:a', 'aac',
-            '-b:a', '64k',
-            '-ac', '1',
-            '-y',
-            outputPath
-        ]);
+/**
+ * First GPS fix in GoPro GPMF. KLV entries: fourcc, type, struct size,
+ * repeat, payload padded to 4 bytes; type 0 nests. In a stream SCAL holds
+ * the divisors, GPS5/GPS9 start with latitude, longitude, altitude.
+ */
+function parseGpmfLocation(buffer) {
+    let location = null;
 
-        let stderr = '';
-        ffmpeg.stderr.on('data', (data) => {
-            stderr += data.toString();
-        });
+    const readValues = (type, start, size) => {
+        const width = GPMF_SIZES[String.fromCharCode(type)];
+        if (!width) return [];
+        const values = [];
+        for (let offset = start; offset + width <= start + size; offset += width) {
+            switch (String.fromCharCode(type)) {
+                case 'b': values.push(buffer.readInt8(offset)); break;
+                case 'B': values.push(buffer.readUInt8(offset)); break;
+                case 's': values.push(buffer.readInt16BE(offset)); break;
+                case 'S': values.push(buffer.readUInt16BE(offset)); break;
+                case 'l': values.push(buffer.readInt32BE(offset)); break;
+                case 'L': values.push(buffer.readUInt32BE(offset)); break;
+                case 'f': values.push(buffer.readFloatBE(offset)); break;
+            }
+        }
+        return values;
+    };
 
-        ffmpeg.on('error', (err) => {
-            log(`❌ FFmpeg Error: ${err.message}`, 'error');
-            reject(new Error('FFmpeg not found'));
-        });
+    const walk = (start, end) => {
+        let scale = null;
+        let fix = null;
+        for (let offset = start; offset + 8 <= end && !location;) {
+            const key = buffer.toString('latin1', offset, offset + 4);
+            const type = buffer[offset + 4];
+            const size = buffer[offset + 5] * buffer.readUInt16BE(offset + 6);
+            const dataStart = offset + 8;
+            if (dataStart + size > end) break;
 
-        ffmpeg.on('close', (code) => {
-            if (code !== 0) {
-                // Log last few lines of stderr for debugging
-                const lines = stderr.split('\n').slice(-10).join('\n');
-                log(`❌ FFmpeg Failed (code ${code}):\n${lines}`, 'error');
-                reject(new Error(`Proxy generation failed: ${lines}`));
-            } else {
-                log(`✅ FFmpeg Done: ${outputPath}`);
-                resolve(outputPath);
+            if (type === 0) {
+                walk(dataStart, dataStart + size);
+            } else if (key === 'SCAL') {
+                scale = readValues(type, dataStart, size);
+            } else if (key === 'GPSF') {
+                fix = buffer.readUInt32BE(dataStart);
+            } else if ((key === 'GPS5' || key === 'GPS9') && size >= 12 && scale?.length && fix !== 0) {
+                const value = (i) => buffer.readInt32BE(dataStart + i * 4) / (scale[i] ?? scale[0]);
+                location = toLocation(value(0), value(1), value(2));
             }
-        });
-    });
+
+            offset = dataStart + Math.ceil(size / 4) * 4;
+        }
+    };
+
+    walk(0, buffer.length);
+    return location;
 }
 
-async function generateThumbnail(inputPath, outputPath) {
-    return new Promise((resolve, reject) => {
-        const ffmpeg = spawn('ffmpeg', [
-            '-i', inputPath,
-            '-ss', '00:00:01',
-            '-vframes', '1',
-            '-vf', 'scale=320:-2',
-            '-y',
-            outputPath
-        ]);
+// DJI subtitles: "[latitude: 50.08] [longitude: 14.41] [rel_alt: 2.1 abs_alt: 250.3]"
+// or, on older models, "GPS(14.4167,50.0833,250)" with longitude first
+function parseDjiSubtitleLocation(text) {
+    const tagged = /latitude\s*:\s*(-?[\d.]+)\]?\s*\[?\s*lon(?:gitude|titude)?\s*:\s*(-?[\d.]+)/i.exec(text);
+    if (tagged) {
+        const altitude = /abs_alt\s*:\s*(-?[\d.]+)/i.exec(text);
+        return toLocation(parseFloat(tagged[1]), parseFloat(tagged[2]), altitude ? parseFloat(altitude[1]) : null);
+    }
+    const gps = /GPS\s*\(\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)(?:\s*,\s*(-?[\d.]+))?/i.exec(text);
+    if (gps) {
+        return toLocation(parseFloat(gps[2]), parseFloat(gps[1]), gps[3] ? parseFloat(gps[3]) : null);
+    }
+    return null;
+}
 
-        ffmpeg.on('error', () => reject(new Error('FFmpeg not found')));
-        ffmpeg.on('close', (code) => {
-            if (code !== 0) reject(new Error('Thumbnail generation failed'));
-            else resolve(outputPath);
-        });
-    });
+// Location from the tags, or from the telemetry track when the tags have none
+async function getVideoLocation(filePath, metadata) {
+    if (metadata?.location || !metadata?.telemetry) return metadata?.location || null;
+
+    const { type, index } = metadata.telemetry;
+    try {
+        if (type === 'gpmf') {
+            const buffer = await readStreamBytes(filePath, index, 'data', TELEMETRY_READ_LIMIT);
+            return buffer ? parseGpmfLocation(buffer) : null;
+        }
+        const buffer = await readStreamBytes(filePath, index, 'srt', TELEMETRY_READ_LIMIT);
+        return buffer ? parseDjiSubtitleLocation(buffer.toString('utf8')) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Video columns filled from the metadata; older uploads have them empty
+function metadataToColumns(metadata, location = null) {
+    return {
+        duration: metadata?.duration || 0,
+        width: metadata?.width || 0,
+        height: metadata?.height || 0,
+        fps: metadata?.fps || null,
+        is_vfr: metadata?.isVfr ?? null,
+        source_timecode: metadata?.timecode || null,
+        video_codec: metadata?.videoCodec || null,
+        bit_depth: metadata?.bitDepth || null,
+        color_transfer: metadata?.colorTransfer || null,
+        hdr_format: metadata?.hdrFormat || null,
+        rotation: metadata?.rotation ?? null,
+        has_audio: metadata?.hasAudio ?? null,
+        audio_codec: metadata?.audioCodec || null,
+        audio_channels: metadata?.audioChannels || null,
+        camera_make: metadata?.cameraMake || null,
+        camera_model: metadata?.cameraModel || null,
+        latitude: location?.latitude ?? null,
+        longitude: location?.longitude ?? null,
+        altitude: location?.altitude ?? null,
+        metadata_date: metadata?.creationTime?.toISOString(),
+        timezone_offset: metadata?.timezoneOffset ?? null
+    };
 }
 
+const VIDEO_METADATA_COLUMNS = Object.keys(metadataToColumns(null));
+
 // ============================================
-// API ROUTES
+// PHOTOS AND AUDIO
+// ============================================
+// Photos become still clips (Ken Burns optional), audio files are
+// narration mixed over the edit. Both are rows of the videos table with
+// a media_type and go through the same processing and previews.
+
+const DEFAULT_PHOTO_DURATION = 4;
+// Photos are read whole for EXIF, bigger files only up to this
+const EXIF_READ_LIMIT = 32 * 1024 * 1024;
+const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+// EXIF orientation -> clockwise degrees; mirrored variants are left as they are
+const EXIF_ROTATIONS = { 3: 180, 6: 90, 8: 270 };
+// Clockwise degrees -> filter turning the photo upright
+const PHOTO_ROTATE_FILTERS = { 90: 'transpose=clock', 180: 'hflip,vflip', 270: 'transpose=cclock' };
+
+/**
+ * Tags of the EXIF (TIFF) block of a JPEG or HEIC, found by its
+ * "Exif\0\0" header: IFD0, the Exif sub-IFD and GPS, as tag -> value.
+ */
+function parseExif(buffer) {
+    const header = buffer.indexOf('Exif\0\0', 0, 'latin1');
+    if (header < 0) return null;
+
+    const tiff = header + 6;
+    const little = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+    const u16 = (o) => little ? buffer.readUInt16LE(o) : buffer.readUInt16BE(o);
+    const u32 = (o) => little ? buffer.readUInt32LE(o) : buffer.readUInt32BE(o);
+    const s32 = (o) => little ? buffer.readInt32LE(o) : buffer.readInt32BE(o);
+
+    function readValue(type, count, at) {
+        if (type === 2) return buffer.toString('latin1', at, at + count).replace(/\0+$/, '').trim();
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            const o = at + i * EXIF_TYPE_SIZES[type];
+            if (type === 1 || type === 7) values.push(buffer[o]);
+            else if (type === 3) values.push(u16(o));
+            else if (type === 4) values.push(u32(o));
+            else if (type === 9) values.push(s32(o));
+            else if (type === 5) values.push(u32(o) / (u32(o + 4) || 1));
+            else if (type === 10) values.push(s32(o) / (s32(o + 4) || 1));
+        }
+        return count === 1 ? values[0] : values;
+    }
+
+    function readIfd(offset) {
+        const tags = new Map();
+        const start = tiff + offset;
+        if (!offset || start + 2 > buffer.length) return tags;
+
+        for (let i = 0; i < u16(start); i++) {
+            const entry = start + 2 + i * 12;
+            if (entry + 12 > buffer.length) break;
+            const type = u16(entry + 2);
+            const count = u32(entry + 4);
+            if (!EXIF_TYPE_SIZES[type] || count > 1024) continue;
+            const at = EXIF_TYPE_SIZES[type] * count > 4 ? tiff + u32(entry + 8) : entry + 8;
+            if (at + EXIF_TYPE_SIZES[type] * count > buffer.length) continue;
+            tags.set(u16(entry), readValue(type, count, at));
+        }
+        return tags;
+    }
+
+    try {
+        const ifd0 = readIfd(u32(tiff + 4));
+        return { ifd0, exif: readIfd(ifd0.get(0x8769)), gps: readIfd(ifd0.get(0x8825)) };
+    } catch (e) {
+        return null;
+    }
+}
+
+// "2024:06:01 14:03:12" + "+02:00"; without an offset the wall-clock time is
+// taken as server-local, like dates in filenames (parseFilenameDate)
+function parseExifDate(value, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/.exec(value || '');
+    if (!match) return { date: null, timezoneOffset: null };
+
+    const zone = /^([+-])(\d{2}):(\d{2})$/.exec(offset || '');
+    const date = new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}${zone ? offset : ''}`);
+    if (isNaN(date)) return { date: null, timezoneOffset: null };
+    return {
+        date,
+        timezoneOffset: zone ? (zone[1] === '-' ? -1 : 1) * (parseInt(zone[2], 10) * 60 + parseInt(zone[3], 10)) : null
+    };
+}
+
+function parseExifLocation(gps) {
+    const toDegrees = (value, ref, negative) => {
+        if (!Array.isArray(value) || value.length < 3) return NaN;
+        const degrees = value[0] + value[1] / 60 + value[2] / 3600;
+        return ref === negative ? -degrees : degrees;
+    };
+    const altitude = typeof gps.get(6) === 'number' ? gps.get(6) * (gps.get(5) === 1 ? -1 : 1) : null;
+    return toLocation(toDegrees(gps.get(2), gps.get(1), 'S'), toDegrees(gps.get(4), gps.get(3), 'W'), altitude);
+}
+
+async function readExif(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const buffer = Buffer.alloc(Math.min(size, EXIF_READ_LIMIT));
+        await handle.read(buffer, 0, buffer.length, 0);
+        return parseExif(buffer);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Photo metadata in the shape of getVideoMetadata. Pixel size falls back
+ * to ffprobe for photos without it in EXIF (PNG, screenshots).
+ */
+async function getPhotoMetadata(filePath) {
+    const { ifd0 = new Map(), exif = new Map(), gps = new Map() } = await readExif(filePath) || {};
+    const capture = parseExifDate(exif.get(0x9003) || ifd0.get(0x0132), exif.get(0x9011));
+
+    let width = exif.get(0xA002) || 0;
+    let height = exif.get(0xA003) || 0;
+    if (!width || !height) {
+        const probe = await getVideoMetadata(filePath);
+        width = probe?.width || 0;
+        height = probe?.height || 0;
+    }
+
+    return {
+        duration: 0,
+        width,
+        height,
+        rotation: EXIF_ROTATIONS[ifd0.get(0x0112)] || 0,
+        hasAudio: false,
+        cameraMake: ifd0.get(0x010F) || null,
+        cameraModel: ifd0.get(0x0110) || null,
+        location: parseExifLocation(gps),
+        creationTime: capture.date,
+        timezoneOffset: capture.timezoneOffset
+    };
+}
+
+function isHeif(filePath) {
+    return HEIF_EXTENSIONS.test(path.extname(filePath).slice(1));
+}
+
+// ffmpeg cannot decode iPhone HEIC (tiled HEVC), libheif's heif-convert can
+function decodeHeif(inputPath, outputPath) {
+    return new Promise((resolve, reject) => {
+        const converter = spawn('heif-convert', ['-q', '95', inputPath, outputPath]);
+        let stderr = '';
+        converter.stderr.on('data', (data) => { stderr += data; });
+        converter.on('error', () => reject(new Error('heif-convert not found')));
+        converter.on('close', (code) => {
+            if (code === 0 && fs.existsSync(outputPath)) resolve(outputPath);
+            else reject(new Error(`HEIC conversion failed: ${stderr.trim().split('\n').pop()}`));
+        });
+    });
+}
+
+/**
+ * Decodable file and the filters turning it upright. ffmpeg's own EXIF
+ * handling differs between versions, so autorotate is off for photos and
+ * the orientation applied here; libheif already applies HEIC's rotation.
+ */
+async function preparePhotoSource(filePath, workDir, rotation) {
+    if (isHeif(filePath)) {
+        const decodedPath = path.join(workDir, `${path.parse(filePath).name}.jpg`);
+        return { path: await decodeHeif(filePath, decodedPath), filters: [] };
+    }
+    return { path: filePath, filters: PHOTO_ROTATE_FILTERS[rotation] ? [PHOTO_ROTATE_FILTERS[rotation]] : [] };
+}
+
+async function generatePhotoPreviews(filePath, proxyPath, thumbPath) {
+    const workDir = fs.mkdtempSync(path.join(proxyDir, '.photo-'));
+    try {
+        const { rotation } = await getPhotoMetadata(filePath);
+        const source = await preparePhotoSource(filePath, workDir, rotation);
+        // The player shows the photo itself, larger than a video proxy
+        for (const [outputPath, size] of [[proxyPath, 1920], [thumbPath, 320]]) {
+            await runFfmpeg([
+                '-noautorotate', '-i', source.path,
+                '-frames:v', '1',
+                '-vf', [...source.filters, buildPreviewFilter(size, null, {})].join(','),
+                '-q:v', '3',
+                outputPath
+            ]);
+        }
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+// AAC proxy for the player, the waveform is the thumbnail
+async function generateAudioPreviews(filePath, proxyPath, thumbPath) {
+    await runFfmpeg([
+        '-i', filePath,
+        '-map', '0:a:0', '-vn',
+        '-c:a', 'aac', '-b:a', '128k',
+        '-movflags', '+faststart',
+        proxyPath
+    ]);
+    await runFfmpeg([
+        '-i', filePath,
+        '-filter_complex', '[0:a:0]showwavespic=s=320x180:colors=0x8B5CF6',
+        '-frames:v', '1',
+        thumbPath
+    ]);
+}
+
+// Clip length of a photo: its own, else the project's
+function getPhotoDuration(video, project) {
+    return video.still_duration || project?.photo_duration || DEFAULT_PHOTO_DURATION;
+}
+
+// ============================================
+// DEBUG LOGGER
+// ============================================
+const MAX_LOGS = 100;
+const memoryLogs = [];
+
+function log(message, type = 'info') {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        type,
+        message: typeof message === 'string' ? message : JSON.stringify(message)
+    };
+    memoryLogs.unshift(entry);
+    if (memoryLogs.length > MAX_LOGS) memoryLogs.pop();
+
+    // Also log to console
+    if (type === 'error') console.error(`[${entry.timestamp}] ${entry.message}`);
+    else console.log(`[${entry.timestamp}] ${entry.message}`);
+}
+
+// HDR to SDR for previews; zscale needs an ffmpeg built with zimg
+const HDR_TONEMAP_FILTER = 'zscale=t=linear:npl=100,format=gbrpf32le,zscale=p=bt709,' +
+    'tonemap=tonemap=hable:desat=0,zscale=t=bt709:m=bt709:r=tv';
+
+/**
+ * Preview filter chain. ffmpeg's autorotate has already turned the frames
+ * upright by the display matrix, so the box is fitted to the longer side
+ * and portrait clips stay portrait.
+ */
+function buildPreviewFilter(size, metadata, { tonemap, pixelFormat = null }) {
+    const filters = [];
+    if (tonemap && metadata?.hdrFormat) filters.push(HDR_TONEMAP_FILTER);
+    filters.push(`scale='if(gte(iw,ih),${size},-2)':'if(gte(iw,ih),-2,${size})'`);
+    if (pixelFormat) filters.push(`format=${pixelFormat}`);
+    return filters.join(',');
+}
+
+// Builds without zimg fail on tone mapping, an untouched HDR preview beats none
+async function withTonemapFallback(metadata, render) {
+    try {
+        return await render(true);
+    } catch (error) {
+        if (!metadata?.hdrFormat) throw error;
+        log(`⚠️ HDR tone mapping failed, retrying without: ${error.message}`, 'error');
+        return render(false);
+    }
+}
+
+async function generateProxy(inputPath, outputPath, metadata = null) {
+    return withTonemapFallback(metadata, (tonemap) => new Promise((resolve, reject) => {
+        log(`🎬 FFmpeg Start: ${inputPath} -> ${outputPath}`);
+
+        const ffmpeg = spawn('ffmpeg', [
+            '-i', inputPath,
+            // 8-bit 4:2:0, browsers do not play High 10 from 10-bit phone footage
+            '-vf', buildPreviewFilter(640, metadata, { tonemap, pixelFormat: 'yuv420p' }),
+            '-c:v', 'libx264',
+            '-preset', 'ultrafast',
+            '-crf', '32', // Lower quality for speed
+            // Source frame timestamps as they are, marks set on the proxy land on the same frames
+            '-fps_mode', 'passthrough',
+            '-metadata:s:v:0', 'rotate=0',
+            '-c:a', 'aac',
+            '-b:a', '64k',
+            '-ac', '1',
+            '-y',
+            outputPath
+        ]);
+
+        let stderr = '';
+        ffmpeg.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        ffmpeg.on('error', (err) => {
+            log(`❌ FFmpeg Error: ${err.message}`, 'error');
+            reject(new Error('FFmpeg not found'));
+        });
+
+        ffmpeg.on('close', (code) => {
+            if (code !== 0) {
+                // Log last few lines of stderr for debugging
+                const lines = stderr.split('\n').slice(-10).join('\n');
+                log(`❌ FFmpeg Failed (code ${code}):\n${lines}`, 'error');
+                reject(new Error(`Proxy generation failed: ${lines}`));
+            } else {
+                log(`✅ FFmpeg Done: ${outputPath}`);
+                resolve(outputPath);
+            }
+        });
+    }));
+}
+
+async function generateThumbnail(inputPath, outputPath, metadata = null) {
+    // Clips shorter than the usual 1 s still get a frame
+    const position = metadata?.duration ? Math.min(1, metadata.duration / 2) : 1;
+
+    return withTonemapFallback(metadata, (tonemap) => new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', [
+            '-ss', position.toFixed(3),
+            '-i', inputPath,
+            '-vframes', '1',
+            '-vf', buildPreviewFilter(320, metadata, { tonemap }),
+            '-y',
+            outputPath
+        ]);
+
+        ffmpeg.on('error', () => reject(new Error('FFmpeg not found')));
+        ffmpeg.on('close', (code) => {
+            if (code !== 0) reject(new Error('Thumbnail generation failed'));
+            else resolve(outputPath);
+        });
+    }));
+}
+
+// Generic FFmpeg runner used by the export pipeline, resolves with the stderr tail.
+// onProgress receives the output position in seconds (parsed from -progress),
+// aborting the signal kills the process
+function runFfmpeg(args, { onProgress, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            return reject(new Error(EXPORT_CANCELLED_MESSAGE));
+        }
+
+        const progressArgs = onProgress ? ['-progress', 'pipe:1', '-nostats'] : [];
+        const ffmpeg = spawn('ffmpeg', ['-hide_banner', '-y', ...progressArgs, ...args], { signal });
+
+        let stderr = '';
+        ffmpeg.stderr.on('data', (data) => {
+            stderr += data.toString();
+            // Keep only the tail, long renders produce a lot of output
+            if (stderr.length > 20000) stderr = stderr.slice(-10000);
+        });
+
+        if (onProgress) {
+            let buffer = '';
+            ffmpeg.stdout.on('data', (data) => {
+                buffer += data.toString();
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                for (const line of lines) {
+                    // out_time_ms is in microseconds as well (historic naming in ffmpeg)
+                    const match = line.match(/^out_time_(?:us|ms)=(\d+)/);
+                    if (match) onProgress(parseInt(match[1], 10) / 1e6);
+                }
+            });
+        }
+
+        ffmpeg.on('error', (err) => {
+            if (err.name === 'AbortError') {
+                return reject(new Error(EXPORT_CANCELLED_MESSAGE));
+            }
+            log(`❌ FFmpeg Error: ${err.message}`, 'error');
+            reject(new Error('FFmpeg not found'));
+        });
+
+        ffmpeg.on('close', (code) => {
+            if (signal?.aborted) {
+                reject(new Error(EXPORT_CANCELLED_MESSAGE));
+            } else if (code !== 0) {
+                const lines = stderr.trim().split('\n').slice(-10).join('\n');
+                log(`❌ FFmpeg Failed (code ${code}):\n${lines}`, 'error');
+                reject(new Error(`FFmpeg failed: ${lines}`));
+            } else {
+                resolve(stderr);
+            }
+        });
+    });
+}
+
+// ============================================
+// API ROUTES
 // ============================================
 
 // Health check
@@ -301,7 +1328,15 @@ app.post('/api/projects', async (req, res) => {
             name,
             invite_code: inviteCode,
             created_at: new Date().toISOString(),
-            status: 'active'
+            status: 'active',
+            transition_type: 'cut',
+            transition_duration: DEFAULT_TRANSITION_DURATION,
+            duplicate_mode: 'link',
+            clock_offsets: {},
+            photo_duration: DEFAULT_PHOTO_DURATION,
+            watch_folder: null,
+            deleted_imports: {},
+            ...MUSIC_DEFAULTS
         };
 
         if (IS_LOCAL_MODE) {
@@ -361,402 +1396,3880 @@ app.get('/api/projects/join/:code', async (req, res) => {
 // Get project with videos
 app.get('/api/projects/:id', async (req, res) => {
     try {
-        let project, videos;
-
-        if (IS_LOCAL_MODE) {
-            project = localStore.projects.get(req.params.id);
-
-            if (!project) {
-                return res.status(404).json({ error: 'Projekt nenalezen' });
-            }
+        const project = await getProject(req.params.id);
 
-            // Get videos for this project
-            videos = [];
-            for (const [key, video] of localStore.videos) {
-                if (video.project_id === req.params.id) {
-                    // Add marks to video
-                    video.marks = [];
-                    for (const [mKey, mark] of localStore.marks) {
-                        if (mark.video_id === video.id) {
-                            video.marks.push(mark);
-                        }
-                    }
-                    videos.push(video);
-                }
-            }
-            videos.sort((a, b) => (a.order_index || 0) - (b.order_index || 0));
-        } else {
-            const projectResult = await pool.query(
-                'SELECT * FROM projects WHERE id = $1',
-                [req.params.id]
-            );
-
-            if (projectResult.rows.length === 0) {
-                return res.status(404).json({ error: 'Projekt nenalezen' });
-            }
-            project = projectResult.rows[0];
-
-            const videosResult = await pool.query(
-                `SELECT v.*, 
-                        COALESCE(json_agg(m.*) FILTER (WHERE m.id IS NOT NULL), '[]') as marks
-                 FROM videos v
-                 LEFT JOIN marks m ON m.video_id = v.id
-                 WHERE v.project_id = $1
-                 GROUP BY v.id
-                 ORDER BY v.order_index`,
-                [req.params.id]
-            );
-            videos = videosResult.rows;
+        if (!project) {
+            return res.status(404).json({ error: 'Projekt nenalezen' });
         }
 
-        res.json({ success: true, project, videos });
+        const videos = await getProjectVideos(req.params.id);
+        const cards = await getProjectCards(req.params.id);
+
+        res.json({ success: true, project, videos, cards });
     } catch (error) {
         console.error('Get project error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// ============================================
-// VIDEO ROUTES
-// ============================================
+// Editable project settings
+const PROJECT_FIELDS = {
+    transition_type: (v) => TRANSITION_TYPES.includes(v),
+    transition_duration: isTransitionDuration,
+    // Re-uploads of a clip: register as a duplicate or refuse
+    duplicate_mode: (v) => DUPLICATE_MODES.includes(v),
+    // Clip length of photos without their own
+    photo_duration: isStillDuration,
+    // Folder under IMPORT_ROOT whose new files are imported, null = off
+    watch_folder: (v) => v === null || resolveWatchFolder(v) !== null,
+    // Wrong camera clocks per device and uploader, used by date sorting
+    clock_offsets: isClockOffsets,
+    // Soundtrack: start position within the track, fades and level under the clips
+    music_offset: (v) => typeof v === 'number' && v >= 0,
+    music_fade_in: (v) => typeof v === 'number' && v >= 0 && v <= 30,
+    music_fade_out: (v) => typeof v === 'number' && v >= 0 && v <= 30,
+    music_volume: (v) => typeof v === 'number' && v >= 0 && v <= 2,
+    music_ducking: (v) => typeof v === 'boolean'
+};
 
-// Upload video
-app.post('/api/projects/:projectId/videos', upload.single('video'), async (req, res) => {
+// Update project settings
+app.patch('/api/projects/:id', async (req, res) => {
     try {
-        const { projectId } = req.params;
-        const { uploadedBy } = req.body;
-        const file = req.file;
-
-        if (!file) {
-            return res.status(400).json({ error: 'Žádný soubor' });
+        const { updates, error } = pickValidFields(req.body, PROJECT_FIELDS);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'Nic ke změně' });
         }
 
-        const videoId = uuidv4();
-        const source = detectVideoSource(file.originalname);
-        const filenameDate = parseFilenameDate(file.originalname);
-
-        // Get metadata
-        const metadata = await getVideoMetadata(file.path);
-
-        const video = {
-            id: videoId,
-            project_id: projectId,
-            original_filename: file.originalname,
-            original_path: file.path,
-            source,
-            duration: metadata?.duration || 0,
-            width: metadata?.width || 0,
-            height: metadata?.height || 0,
-            file_size: file.size,
-            filename_date: filenameDate?.toISOString(),
-            metadata_date: metadata?.creationTime?.toISOString(),
-            upload_date: new Date().toISOString(),
-            uploaded_by: uploadedBy || 'anonymous',
-            order_index: 0,
-            included: true,
-            processing_status: 'processing',
-            marks: []
-        };
-
-        if (IS_LOCAL_MODE) {
-            localStore.videos.set(videoId, video);
-            // Generate proxy locally
-            generateProxyLocally(videoId, file.path, projectId);
-        } else {
-            // Cloud mode - DB insert + background processing
-
-            // 1. Insert into DB
-            await pool.query(
-                `INSERT INTO videos (
-                    id, project_id, original_filename, original_path, source,
-                    duration, width, height, file_size,
-                    filename_date, metadata_date, upload_date, uploaded_by,
-                    processing_status, included, order_index
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
-                [
-                    videoId, projectId, file.originalname, file.path, source,
-                    video.duration, video.width, video.height, video.file_size,
-                    video.filename_date, video.metadata_date, video.upload_date, video.uploaded_by,
-                    'processing', true, 0
-                ]
-            );
-
-            // 2. Start background processing (generate proxy/thumb in /tmp)
-            processVideoForCloud(videoId, file.path, projectId);
+        const project = await saveProjectFields(req.params.id, updates);
+        if (!project) {
+            return res.status(404).json({ error: 'Projekt nenalezen' });
         }
 
-        res.json({ success: true, video });
+        res.json({ success: true, project });
     } catch (error) {
-        console.error('Upload error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Local proxy generation
-async function generateProxyLocally(videoId, filePath, projectId) {
-    try {
-        const proxyFilename = `${videoId}.mp4`;
-        const thumbnailFilename = `${videoId}.jpg`;
-        const proxyPath = path.join(proxyDir, proxyFilename);
-        const thumbPath = path.join(thumbnailDir, thumbnailFilename);
+// Merges { clock group: seconds } into the project's offsets, 0 removes one
+async function setClockOffsets(project, offsets) {
+    if (!isClockOffsets(offsets)) {
+        const error = new Error('Posun hodin je příliš velký');
+        error.status = 400;
+        throw error;
+    }
 
-        console.log(`⏳ Generating proxy for ${videoId}...`);
+    const clockOffsets = { ...(project.clock_offsets || {}) };
+    for (const [group, offset] of Object.entries(offsets)) {
+        if (offset === 0) {
+            delete clockOffsets[group];
+        } else {
+            clockOffsets[group] = offset;
+        }
+        log(`🕐 Clock of ${group}: ${offset >= 0 ? '+' : ''}${offset}s`);
+    }
+    return saveProjectFields(project.id, { clock_offsets: clockOffsets });
+}
 
-        // Generate proxy
-        await generateProxy(filePath, proxyPath);
+/**
+ * Sets the clock offset of the target's device so that both clips show
+ * the same moment at the given times: one moment seen by two cameras.
+ */
+app.post('/api/projects/:id/clock-sync', async (req, res) => {
+    try {
+        const { reference, target } = req.body || {};
+        const isPoint = (p) => p && typeof p.video_id === 'string' && typeof p.time === 'number' && p.time >= 0;
+        if (!isPoint(reference) || !isPoint(target)) {
+            return res.status(400).json({ error: 'Chybí video nebo čas' });
+        }
 
-        // Generate thumbnail
-        await generateThumbnail(filePath, thumbPath);
+        const project = await getProject(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Projekt nenalezen' });
+        }
+        const videos = await getProjectVideos(project.id);
+        const referenceVideo = videos.find(v => v.id === reference.video_id);
+        const targetVideo = videos.find(v => v.id === target.video_id);
+        if (!referenceVideo || !targetVideo) {
+            return res.status(404).json({ error: 'Video nenalezeno' });
+        }
+        if (referenceVideo.clock_group === targetVideo.clock_group) {
+            return res.status(400).json({ error: 'Obě videa mají stejné hodiny' });
+        }
+        const targetDate = targetVideo.metadata_date || targetVideo.filename_date;
+        if (!targetDate) {
+            return res.status(400).json({ error: 'Video nemá čas pořízení z kamery' });
+        }
 
-        // Update video record
-        const video = localStore.videos.get(videoId);
-        if (video) {
-            video.processing_status = 'ready';
-            video.proxy_url = `/proxies/${proxyFilename}`;
-            video.thumbnail_url = `/thumbnails/${thumbnailFilename}`;
-            localStore.videos.set(videoId, video);
+        const moment = getBestDate(referenceVideo).getTime() + reference.time * 1000;
+        const offset = Math.round((moment - new Date(targetDate).getTime()) / 1000 - target.time);
+        if (Math.abs(offset) > CLOCK_OFFSET_LIMIT) {
+            return res.status(400).json({ error: 'Posun hodin je příliš velký' });
         }
 
-        console.log(`✅ Proxy ready: ${videoId}`);
+        res.json({ success: true, project: await setClockOffsets(project, { [targetVideo.clock_group]: offset }) });
     } catch (error) {
-        console.error(`❌ Proxy generation failed for ${videoId}:`, error);
-        const video = localStore.videos.get(videoId);
-        if (video) {
-            video.processing_status = 'failed';
-            localStore.videos.set(videoId, video);
-        }
+        res.status(error.status || 500).json({ error: error.message });
     }
-}
+});
 
+async function getProject(projectId) {
+    if (IS_LOCAL_MODE) {
+        return localStore.projects.get(projectId) || null;
+    }
 
-// Cloud proxy generation (Postgres + local /tmp files)
-async function processVideoForCloud(videoId, filePath, projectId) {
-    try {
-        const proxyFilename = `${videoId}.mp4`;
-        const thumbnailFilename = `${videoId}.jpg`;
-        const proxyPath = path.join(proxyDir, proxyFilename);
-        const thumbPath = path.join(thumbnailDir, thumbnailFilename);
+    const result = await pool.query('SELECT * FROM projects WHERE id = $1', [projectId]);
+    return result.rows[0] || null;
+}
 
-        console.log(`☁️ Cloud processing: Generating proxy for ${videoId}...`);
+async function saveProjectFields(projectId, updates) {
+    if (IS_LOCAL_MODE) {
+        const project = localStore.projects.get(projectId);
+        if (project) Object.assign(project, updates);
+        return project || null;
+    }
+    return updateRow('projects', projectId, updates);
+}
+
+/**
+ * Videos of a project with their marks, ordered by order_index, one per
+ * recording. Each carries its clock group and that group's offset, photos
+ * their clip length as duration.
+ */
+async function getProjectVideos(projectId) {
+    const project = await getProject(projectId);
+    const clockOffsets = project?.clock_offsets || {};
+
+    return mergeRecordingChapters(await getProjectVideoRows(projectId)).map(video => {
+        const clockGroup = getClockGroup(video);
+        return {
+            ...video,
+            ...(video.media_type === 'photo' ? { duration: getPhotoDuration(video, project) } : {}),
+            clock_group: clockGroup,
+            clock_offset: clockOffsets[clockGroup] || 0
+        };
+    });
+}
+
+// Every stored video row, chapters of recordings separately
+async function getProjectVideoRows(projectId) {
+    if (IS_LOCAL_MODE) {
+        const videos = [];
+        for (const [key, video] of localStore.videos) {
+            if (video.project_id === projectId) {
+                // Add marks to video
+                video.marks = [];
+                for (const [mKey, mark] of localStore.marks) {
+                    if (mark.video_id === video.id) {
+                        video.marks.push(mark);
+                    }
+                }
+                videos.push(video);
+            }
+        }
+        videos.sort((a, b) => (a.order_index || 0) - (b.order_index || 0));
+        return videos;
+    }
+
+    const videosResult = await pool.query(
+        `SELECT v.*, 
+                COALESCE(json_agg(m.* ORDER BY m.in_point) FILTER (WHERE m.id IS NOT NULL), '[]') as marks
+         FROM videos v
+         LEFT JOIN marks m ON m.video_id = v.id
+         WHERE v.project_id = $1
+         GROUP BY v.id
+         ORDER BY v.order_index`,
+        [projectId]
+    );
+    return videosResult.rows;
+}
+
+// A recording's first chapter comes with the others merged in
+async function getVideo(videoId) {
+    let video;
+    let chapters;
+    if (IS_LOCAL_MODE) {
+        video = localStore.videos.get(videoId) || null;
+        chapters = Array.from(localStore.videos.values()).filter(v => v.chapter_of === videoId);
+    } else {
+        const result = await pool.query('SELECT * FROM videos WHERE id = $1 OR chapter_of = $1', [videoId]);
+        video = result.rows.find(v => v.id === videoId) || null;
+        chapters = result.rows.filter(v => v.chapter_of === videoId);
+    }
+
+    if (!video || chapters.length === 0) return video;
+    return mergeRecordingChapters([video, ...chapters])[0];
+}
+
+async function getMark(markId) {
+    if (IS_LOCAL_MODE) {
+        return localStore.marks.get(markId) || null;
+    }
+
+    const result = await pool.query('SELECT * FROM marks WHERE id = $1', [markId]);
+    return result.rows[0] || null;
+}
+
+// ============================================
+// MUSIC ROUTES
+// ============================================
+
+const MUSIC_DEFAULTS = {
+    music_key: null,
+    music_filename: null,
+    music_duration: null,
+    music_offset: 0,
+    music_fade_in: 2,
+    music_fade_out: 3,
+    music_volume: 0.3,
+    music_ducking: true
+};
+
+// Soundtracks uploaded before the storage drivers only have music_path
+async function deleteProjectMusic(project) {
+    if (project.music_path) {
+        fs.rmSync(project.music_path, { force: true });
+    }
+    await deleteStoredFiles([project.music_key]);
+}
+
+async function getMusicPath(project) {
+    if (project.music_key) {
+        return fileStorage.getLocalPath(project.music_key);
+    }
+    return project.music_path && fs.existsSync(project.music_path) ? project.music_path : null;
+}
+
+// Upload / replace project soundtrack
+app.post('/api/projects/:projectId/music', upload.single('music'), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const file = req.file;
+
+        if (!file) {
+            return res.status(400).json({ error: 'Žádný soubor' });
+        }
+
+        const project = await getProject(projectId);
+        if (!project) {
+            fs.rmSync(file.path, { force: true });
+            return res.status(404).json({ error: 'Projekt nenalezen' });
+        }
+
+        const metadata = await getVideoMetadata(file.path);
+        const musicKey = `music/${projectId}/${file.filename}`;
+        await fileStorage.put(musicKey, file.path, file.mimetype);
+
+        const updates = {
+            music_key: musicKey,
+            music_path: null,
+            music_filename: file.originalname,
+            music_duration: metadata?.duration || null,
+            music_offset: 0
+        };
+
+        // Replace the previous track
+        await deleteProjectMusic(project);
+
+        let updated;
+        if (IS_LOCAL_MODE) {
+            updated = Object.assign(project, updates);
+        } else {
+            updated = await updateRow('projects', projectId, updates);
+        }
+
+        res.json({ success: true, project: updated });
+    } catch (error) {
+        console.error('Music upload error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Remove project soundtrack
+app.delete('/api/projects/:projectId/music', async (req, res) => {
+    try {
+        const project = await getProject(req.params.projectId);
+        if (!project) {
+            return res.status(404).json({ error: 'Projekt nenalezen' });
+        }
+
+        await deleteProjectMusic(project);
+
+        const updates = { music_key: null, music_path: null, music_filename: null, music_duration: null };
+        let updated;
+        if (IS_LOCAL_MODE) {
+            updated = Object.assign(project, updates);
+        } else {
+            updated = await updateRow('projects', project.id, updates);
+        }
+
+        res.json({ success: true, project: updated });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// VIDEO ROUTES
+// ============================================
+
+// Upload video
+app.post('/api/projects/:projectId/videos', upload.single('video'), async (req, res) => {
+    try {
+        const file = req.file;
+
+        if (!file) {
+            return res.status(400).json({ error: 'Žádný soubor' });
+        }
+
+        const video = await registerVideo({
+            projectId: req.params.projectId,
+            filePath: file.path,
+            originalFilename: file.originalname,
+            fileSize: file.size,
+            uploadedBy: req.body.uploadedBy
+        });
+
+        res.json({ success: true, video });
+    } catch (error) {
+        console.error('Upload error:', error);
+        res.status(error.status || 500).json({ error: error.message, duplicateOf: error.duplicateOf });
+    }
+});
+
+/**
+ * Stores an uploaded file (or takes the key of one already stored), creates
+ * the video record and starts the proxy/thumbnail processing. Shared by
+ * every way a file gets in, imports (importPath) stay where they are on the
+ * server. A file already in the project is rejected or registered as a
+ * duplicate sharing the original's files, by the project's duplicate_mode.
+ */
+async function registerVideo({
+    projectId, filePath = null, storageKey = null, importPath = null,
+    originalFilename, fileSize, uploadedBy, awaitProcessing = false
+}) {
+    const videoId = uuidv4();
+    const mediaType = getMediaType(originalFilename) || 'video';
+    const filenameDate = parseFilenameDate(originalFilename);
+
+    const video = {
+        id: videoId,
+        project_id: projectId,
+        original_filename: originalFilename,
+        media_type: mediaType,
+        // Imported files, and videos stored before the storage drivers
+        original_path: importPath,
+        // Where an import came from, the same file is not imported twice
+        import_path: importPath,
+        content_hash: null,
+        duplicate_of: null,
+        source: detectVideoSource(originalFilename),
+        file_size: fileSize,
+        filename_date: filenameDate?.toISOString(),
+        upload_date: new Date().toISOString(),
+        uploaded_by: uploadedBy || 'anonymous',
+        order_index: 0,
+        included: true,
+        muted: false,
+        volume: 1,
+        // Photos: own clip length (null = project default) and pan/zoom
+        still_duration: null,
+        ken_burns: true,
+        marks: []
+    };
+
+    // Direct uploads are in the bucket already and may be gigabytes: the
+    // row goes in right away, fetching, hashing and probing run in the background
+    if (storageKey) {
+        Object.assign(video, { storage_key: storageKey, processing_status: 'processing' });
+        await insertVideo(video);
+        const processing = processStoredVideo(video);
+        if (awaitProcessing) await processing;
+        return video;
+    }
+
+    const localPath = importPath || filePath;
+    video.content_hash = await computeContentHash(localPath);
+    const original = await findOriginalVideo(projectId, video.content_hash);
+    if (original) {
+        // Never kept, a duplicate points at the original's files
+        if (filePath) fs.rmSync(filePath, { force: true });
+
+        const project = await getProject(projectId);
+        if (project?.duplicate_mode === 'reject') {
+            throw duplicateVideoError(original);
+        }
+
+        // Left out of the export so the clip is not in it twice
+        Object.assign(video, pickDuplicateFields(original), { duplicate_of: original.id, included: false });
+        await insertVideo(video);
+        log(`🔁 Duplicate of ${original.original_filename}: ${originalFilename} (${video.uploaded_by})`);
+        return video;
+    }
+
+    if (filePath) {
+        storageKey = `originals/${projectId}/${path.basename(filePath)}`;
+        await fileStorage.put(storageKey, filePath, mediaType === 'video' ? 'video/mp4' : 'application/octet-stream');
+    }
+
+    // Kept in the storage cache until the previews are made
+    const workingCopy = importPath || await fileStorage.hold(storageKey);
+    let processing = null;
+    try {
+        Object.assign(video, await probeVideo(mediaType, workingCopy), {
+            storage_key: storageKey,
+            processing_status: 'processing'
+        });
+        await insertVideo(video);
+        processing = generatePreviews(videoId, workingCopy, projectId);
+    } finally {
+        if (!importPath) {
+            processing = Promise.resolve(processing).finally(() => fileStorage.release(storageKey));
+        }
+    }
+
+    // Bulk imports go one file at a time, not hundreds of ffmpegs at once.
+    // A chapter joins its recording once processed (queueRecordingUpdate).
+    if (awaitProcessing) await processing;
+
+    return video;
+}
+
+async function insertVideo(video) {
+    if (IS_LOCAL_MODE) {
+        localStore.videos.set(video.id, video);
+        return;
+    }
+
+    const { marks, ...row } = video;
+    const columns = Object.keys(row);
+    await pool.query(
+        `INSERT INTO videos (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})`,
+        Object.values(row)
+    );
+}
+
+// Metadata and location columns of a new video from its local file
+async function probeVideo(mediaType, filePath) {
+    const metadata = mediaType === 'photo' ? await getPhotoMetadata(filePath) : await getVideoMetadata(filePath);
+    const location = await getVideoLocation(filePath, metadata);
+    return metadataToColumns(metadata, location);
+}
+
+// Proxy and thumbnail in the background (local or cloud mode)
+function generatePreviews(videoId, filePath, projectId) {
+    return IS_LOCAL_MODE
+        ? generateProxyLocally(videoId, filePath, projectId)
+        : processVideoForCloud(videoId, filePath, projectId);
+}
+
+/**
+ * Background part of a direct upload: fetches the stored object, then the
+ * same duplicate check, probing and previews as an upload through the
+ * server. A refused duplicate is deleted again, the client sees it gone
+ * on the next refresh.
+ */
+async function processStoredVideo(video) {
+    const { id: videoId, project_id: projectId, storage_key: storageKey } = video;
+
+    try {
+        const workingCopy = await fileStorage.hold(storageKey);
+        try {
+            if (!workingCopy) {
+                throw new Error('Nahraný soubor nenalezen');
+            }
+
+            const contentHash = await computeContentHash(workingCopy);
+            const original = await findOriginalVideo(projectId, contentHash);
+            if (original) {
+                await deleteStoredFiles([storageKey]);
+
+                const project = await getProject(projectId);
+                if (project?.duplicate_mode === 'reject') {
+                    if (IS_LOCAL_MODE) {
+                        localStore.videos.delete(videoId);
+                    } else {
+                        await pool.query('DELETE FROM videos WHERE id = $1', [videoId]);
+                    }
+                    log(`🚫 Duplicate of ${original.original_filename} refused: ${video.original_filename}`);
+                    return;
+                }
+
+                await saveVideoFields(videoId, {
+                    ...pickDuplicateFields(original),
+                    content_hash: contentHash,
+                    duplicate_of: original.id,
+                    included: false
+                });
+                log(`🔁 Duplicate of ${original.original_filename}: ${video.original_filename} (${video.uploaded_by})`);
+                return;
+            }
+
+            const columns = await probeVideo(video.media_type, workingCopy);
+            await saveVideoFields(videoId, { ...columns, content_hash: contentHash });
+            await generatePreviews(videoId, workingCopy, projectId);
+        } finally {
+            await fileStorage.release(storageKey);
+        }
+    } catch (error) {
+        log(`❌ Processing of ${video.original_filename} failed: ${error.message}`, 'error');
+        await saveVideoFields(videoId, { processing_status: 'failed' }).catch(() => {});
+    }
+}
+
+// ============================================
+// DUPLICATE DETECTION
+// ============================================
+// Videos are fingerprinted by content, the same clip shared in a group chat
+// arrives under different names. Huge files only hash size, head and tail.
+
+const FULL_HASH_LIMIT = 256 * 1024 * 1024;
+const QUICK_HASH_CHUNK = 4 * 1024 * 1024;
+const DUPLICATE_MODES = ['link', 'reject'];
+
+// Shared with the original and kept in sync with its processing
+const DUPLICATE_SHARED_FIELDS = [
+    'storage_key', 'original_path', 'proxy_key', 'thumbnail_key', 'proxy_url', 'thumbnail_url',
+    'processing_status', ...VIDEO_METADATA_COLUMNS
+];
+
+function pickDuplicateFields(video) {
+    return Object.fromEntries(DUPLICATE_SHARED_FIELDS.map(field => [field, video[field] ?? null]));
+}
+
+async function computeContentHash(filePath) {
+    const { size } = await fs.promises.stat(filePath);
+    const hash = crypto.createHash('sha256');
+
+    if (size <= FULL_HASH_LIMIT) {
+        for await (const chunk of fs.createReadStream(filePath)) {
+            hash.update(chunk);
+        }
+        return `sha256:${hash.digest('hex')}`;
+    }
+
+    hash.update(String(size));
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        for (const position of [0, size - QUICK_HASH_CHUNK]) {
+            const buffer = Buffer.alloc(QUICK_HASH_CHUNK);
+            const { bytesRead } = await handle.read(buffer, 0, QUICK_HASH_CHUNK, position);
+            hash.update(buffer.subarray(0, bytesRead));
+        }
+    } finally {
+        await handle.close();
+    }
+    return `quick:${hash.digest('hex')}`;
+}
+
+async function findOriginalVideo(projectId, contentHash) {
+    if (IS_LOCAL_MODE) {
+        return Array.from(localStore.videos.values()).find(v =>
+            v.project_id === projectId && v.content_hash === contentHash && !v.duplicate_of
+        ) || null;
+    }
+
+    const result = await pool.query(
+        'SELECT * FROM videos WHERE project_id = $1 AND content_hash = $2 AND duplicate_of IS NULL LIMIT 1',
+        [projectId, contentHash]
+    );
+    return result.rows[0] || null;
+}
+
+async function getDuplicateVideos(videoId) {
+    if (IS_LOCAL_MODE) {
+        return Array.from(localStore.videos.values())
+            .filter(v => v.duplicate_of === videoId)
+            .sort((a, b) => new Date(a.upload_date) - new Date(b.upload_date));
+    }
+
+    const result = await pool.query('SELECT * FROM videos WHERE duplicate_of = $1 ORDER BY upload_date', [videoId]);
+    return result.rows;
+}
+
+// Routes answer 409 with the video the upload duplicates
+function duplicateVideoError(original) {
+    const error = new Error(`Video už v projektu je: ${original.original_filename}`);
+    error.status = 409;
+    error.duplicateOf = { id: original.id, original_filename: original.original_filename };
+    return error;
+}
+
+// Processing results go to the original and every duplicate of it
+async function updateVideoAndDuplicates(videoId, updates) {
+    if (IS_LOCAL_MODE) {
+        for (const video of localStore.videos.values()) {
+            if (video.id === videoId || video.duplicate_of === videoId) Object.assign(video, updates);
+        }
+        return;
+    }
+
+    const fields = Object.keys(updates);
+    const assignments = fields.map((field, i) => `${field} = $${i + 1}`).join(', ');
+    const idParam = `$${fields.length + 1}`;
+    await pool.query(
+        `UPDATE videos SET ${assignments} WHERE id = ${idParam} OR duplicate_of = ${idParam}`,
+        [...Object.values(updates), videoId]
+    );
+}
+
+/**
+ * The earliest duplicate takes over the files of a deleted original, the
+ * rest then point at it. Returns false when no video uses the files anymore.
+ */
+async function handOverDuplicates(video) {
+    const [heir, ...others] = await getDuplicateVideos(video.id);
+    if (!heir) return false;
+
+    const heirUpdates = { duplicate_of: null, included: video.included };
+    if (IS_LOCAL_MODE) {
+        Object.assign(heir, heirUpdates);
+        others.forEach(other => { other.duplicate_of = heir.id; });
+    } else {
+        await updateRow('videos', heir.id, heirUpdates);
+        await pool.query('UPDATE videos SET duplicate_of = $1 WHERE duplicate_of = $2', [heir.id, video.id]);
+    }
+    return true;
+}
+
+// ============================================
+// RECORDING CHAPTERS
+// ============================================
+// Action cameras split long recordings into chapter files. The first
+// chapter stands for the whole recording: the others point at it with
+// chapter_of, its marks are in recording time, the player gets a joined
+// proxy and exports read the originals one after another.
+
+// Consecutive DJI files continue a recording when the next one starts
+// within this many seconds of the previous one's end
+const DJI_CHAPTER_GAP = 3;
+
+/**
+ * Recording and chapter number from the filename. GoPro: GH011234,
+ * GX021234 (chapter, file number) or older GOPR1234 then GP011234. DJI
+ * only numbers files, its chapters are told apart by timing.
+ */
+function parseChapterName(filename) {
+    const name = path.parse(filename).name.toUpperCase();
+    let match = /^G([HXL])(\d{2})(\d{4})$/.exec(name);
+    if (match) return { recording: `gopro-${match[1]}${match[3]}`, chapter: parseInt(match[2], 10) };
+    match = /^GOPR(\d{4})$/.exec(name);
+    if (match) return { recording: `gopro-P${match[1]}`, chapter: 1 };
+    match = /^GP(\d{2})(\d{4})$/.exec(name);
+    if (match) return { recording: `gopro-P${match[2]}`, chapter: parseInt(match[1], 10) + 1 };
+    match = /^DJI_(?:\d{14}_)?(\d{4})/.exec(name);
+    if (match) return { recording: 'dji', chapter: parseInt(match[1], 10) };
+    return null;
+}
+
+function isChapterContinuation(prev, next) {
+    if (next.chapterName.chapter !== prev.chapterName.chapter + 1) return false;
+    if (prev.width !== next.width || prev.height !== next.height) return false;
+    if (next.chapterName.recording !== 'dji') return true;
+
+    if (!prev.metadata_date || !next.metadata_date || !prev.duration) return false;
+    const gap = (new Date(next.metadata_date) - new Date(prev.metadata_date)) / 1000 - prev.duration;
+    return Math.abs(gap) <= DJI_CHAPTER_GAP;
+}
+
+// Runs of two or more chapters of one recording, in chapter order.
+// Camera numbering restarts per camera, so only one uploader's files join.
+function findRecordingRuns(videos) {
+    const recordings = new Map();
+    for (const video of videos) {
+        // DJI names photos like videos, only videos have chapters
+        const isVideo = (video.media_type || 'video') === 'video';
+        const chapterName = isVideo && !video.duplicate_of && parseChapterName(video.original_filename);
+        if (!chapterName) continue;
+        const key = `${video.uploaded_by}\n${chapterName.recording}`;
+        if (!recordings.has(key)) recordings.set(key, []);
+        recordings.get(key).push({ ...video, chapterName });
+    }
+
+    const runs = [];
+    for (const chapters of recordings.values()) {
+        chapters.sort((a, b) => a.chapterName.chapter - b.chapterName.chapter);
+        let run = [];
+        for (const chapter of chapters) {
+            if (run.length > 0 && !isChapterContinuation(run[run.length - 1], chapter)) {
+                if (run.length > 1) runs.push(run);
+                run = [];
+            }
+            run.push(chapter);
+        }
+        if (run.length > 1) runs.push(run);
+    }
+    return runs;
+}
+
+// The joined proxy is named after its chapters, a changed recording gets a new one
+function recordingProxyKey(parts) {
+    const ids = parts.map(part => part.id).join(',');
+    return `proxies/${parts[0].id}-${crypto.createHash('sha1').update(ids).digest('hex').slice(0, 8)}.mp4`;
+}
+
+/**
+ * Folds chapter rows into their first chapter: duration and size of the
+ * whole recording, `chapters` with each file's offset, the joined proxy.
+ */
+function mergeRecordingChapters(videos) {
+    const chaptersOf = new Map();
+    for (const video of videos) {
+        if (!video.chapter_of) continue;
+        if (!chaptersOf.has(video.chapter_of)) chaptersOf.set(video.chapter_of, []);
+        chaptersOf.get(video.chapter_of).push(video);
+    }
+
+    return videos.filter(video => !video.chapter_of || !videos.some(v => v.id === video.chapter_of)).map(video => {
+        const rest = chaptersOf.get(video.id);
+        if (!rest) return video;
+
+        const parts = [video, ...rest.sort((a, b) => a.chapter_index - b.chapter_index)];
+        let offset = 0;
+        const chapters = parts.map(({ marks, chapters, ...part }) => {
+            const chapter = { ...part, offset };
+            offset += part.duration || 0;
+            return chapter;
+        });
+
+        const ready = video.recording_proxy_key === recordingProxyKey(parts);
+        return {
+            ...video,
+            duration: offset,
+            file_size: parts.reduce((sum, part) => sum + (Number(part.file_size) || 0), 0),
+            chapters,
+            proxy_url: ready ? fileUrl(video.recording_proxy_key) : video.proxy_url,
+            processing_status: parts.some(part => part.processing_status === 'failed')
+                ? 'failed'
+                : ready ? 'ready' : 'processing'
+        };
+    });
+}
+
+async function saveVideoFields(videoId, updates) {
+    if (IS_LOCAL_MODE) {
+        const video = localStore.videos.get(videoId);
+        if (video) Object.assign(video, updates);
+        return;
+    }
+    await updateRow('videos', videoId, updates);
+}
+
+// Marks of a video that became a later chapter move to the first one, in recording time
+async function moveVideoMarks(fromVideoId, toVideoId, offset) {
+    if (IS_LOCAL_MODE) {
+        for (const mark of localStore.marks.values()) {
+            if (mark.video_id !== fromVideoId) continue;
+            Object.assign(mark, {
+                video_id: toVideoId,
+                in_point: mark.in_point + offset,
+                out_point: mark.out_point + offset
+            });
+        }
+        return;
+    }
+    await pool.query(
+        'UPDATE marks SET video_id = $1, in_point = in_point + $2, out_point = out_point + $2 WHERE video_id = $3',
+        [toVideoId, offset, fromVideoId]
+    );
+}
+
+async function buildRecordingProxy(parts, key) {
+    const workDir = path.join(proxyDir, `.recording-${parts[0].id}`);
+    fs.mkdirSync(workDir, { recursive: true });
+
+    try {
+        const proxies = [];
+        for (const part of parts) {
+            // Proxies made before the storage drivers only exist in proxyDir
+            const proxyPath = part.proxy_key
+                ? await fileStorage.getLocalPath(part.proxy_key)
+                : path.join(proxyDir, `${part.id}.mp4`);
+            if (!proxyPath || !fs.existsSync(proxyPath)) {
+                throw new Error(`Missing proxy of ${part.original_filename}`);
+            }
+            proxies.push({ path: proxyPath });
+        }
+
+        // Chapters share the encoding settings, so the proxies join without re-encoding
+        const outputPath = path.join(workDir, 'recording.mp4');
+        await runFfmpeg([
+            '-f', 'concat', '-safe', '0', '-i', writeConcatList(workDir, proxies),
+            '-c', 'copy', '-movflags', '+faststart',
+            outputPath
+        ]);
+        await fileStorage.put(key, outputPath, 'video/mp4');
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+// Links chapter files into recordings and joins their proxies once all are ready
+async function updateRecordings(projectId) {
+    const videos = await getProjectVideoRows(projectId);
+
+    const placement = new Map();
+    for (const run of findRecordingRuns(videos)) {
+        let offset = 0;
+        run.forEach((video, i) => {
+            placement.set(video.id, { chapterOf: i > 0 ? run[0].id : null, chapterIndex: i + 1, offset });
+            offset += video.duration || 0;
+        });
+    }
+
+    for (const video of videos) {
+        const { chapterOf = null, chapterIndex = null, offset = 0 } = placement.get(video.id) || {};
+        if ((video.chapter_of || null) === chapterOf && (video.chapter_index ?? null) === chapterIndex) continue;
+
+        if (chapterOf) {
+            await moveVideoMarks(video.id, chapterOf, offset);
+            log(`🎞️ ${video.original_filename} joined as chapter ${chapterIndex}`);
+        }
+        await saveVideoFields(video.id, { chapter_of: chapterOf, chapter_index: chapterIndex });
+    }
+
+    const rows = await getProjectVideoRows(projectId);
+    for (const video of rows.filter(v => !v.chapter_of)) {
+        const parts = [video, ...rows.filter(v => v.chapter_of === video.id).sort((a, b) => a.chapter_index - b.chapter_index)];
+        const key = parts.length > 1 ? recordingProxyKey(parts) : null;
+        if ((video.recording_proxy_key || null) === key) continue;
+        // Waits for the last chapter's proxy
+        if (key && !parts.every(part => part.processing_status === 'ready')) continue;
+
+        if (key) {
+            try {
+                await buildRecordingProxy(parts, key);
+            } catch (error) {
+                log(`❌ Joining chapters of ${video.original_filename} failed: ${error.message}`, 'error');
+                await saveVideoFields(video.id, { processing_status: 'failed' });
+                continue;
+            }
+        }
+        await deleteStoredFiles([video.recording_proxy_key]);
+        await saveVideoFields(video.id, { recording_proxy_key: key });
+    }
+}
+
+// One update per project at a time, uploads of several chapters finish together
+const recordingUpdates = new Map();
+
+function queueRecordingUpdate(projectId) {
+    const previous = recordingUpdates.get(projectId) || Promise.resolve();
+    const next = previous
+        .then(() => updateRecordings(projectId))
+        .catch(error => log(`❌ Recording update failed for ${projectId}: ${error.message}`, 'error'));
+    recordingUpdates.set(projectId, next);
+    next.then(() => {
+        if (recordingUpdates.get(projectId) === next) recordingUpdates.delete(projectId);
+    });
+    return next;
+}
+
+// Local copy for the export: a photo decoded with the filters turning it
+// upright, a video with its ffmpeg input args
+async function localizeVideo(video, workDir, held) {
+    if (video.media_type === 'photo') {
+        const originalPath = await getOriginalPath(video, held);
+        if (originalPath) {
+            const source = await preparePhotoSource(originalPath, workDir, video.rotation);
+            return { ...video, original_path: source.path, photo_filters: source.filters };
+        }
+    } else {
+        const input = await getVideoInput(video, workDir, held);
+        if (input) return { ...video, original_path: input.path, input_args: input.args };
+    }
+    throw new Error(`Originál videa ${video.original_filename} nenalezen`);
+}
+
+// ffmpeg input args for a video, a recording's chapters are read as one file.
+// path is the (first) local original, for probing.
+async function getVideoInput(video, listDir, held = null) {
+    const parts = video.chapters || [video];
+    const originals = [];
+    for (const part of parts) {
+        const originalPath = await getOriginalPath(part, held);
+        if (!originalPath) return null;
+        originals.push({ path: originalPath });
+    }
+
+    if (originals.length === 1) return { path: originals[0].path, args: ['-i', originals[0].path] };
+    const listPath = writeConcatList(listDir, originals, `${video.id}.concat.txt`);
+    return { path: originals[0].path, args: ['-f', 'concat', '-safe', '0', '-i', listPath] };
+}
+
+// Source pieces of a recording-time range, one per chapter file it touches
+function splitAcrossChapters(segment) {
+    if (!segment.video.chapters) return [segment];
+
+    const end = segment.start + segment.duration;
+    return segment.video.chapters
+        .filter(chapter => chapter.offset < end && chapter.offset + chapter.duration > segment.start)
+        .map(chapter => {
+            const start = Math.max(segment.start, chapter.offset);
+            return {
+                ...segment,
+                video: chapter,
+                start: start - chapter.offset,
+                duration: Math.min(end, chapter.offset + chapter.duration) - start
+            };
+        });
+}
+
+// ============================================
+// RESUMABLE UPLOADS (tus 1.0 core protocol)
+// ============================================
+// POST creates an upload, HEAD returns its offset, PATCH appends a chunk.
+// The state lives next to the partial file so a restart keeps it too.
+
+const TUS_VERSION = '1.0.0';
+const resumableDir = path.join(uploadDir, '.resumable');
+fs.mkdirSync(resumableDir, { recursive: true });
+// Unfinished uploads are dropped after this long without a chunk
+const RESUMABLE_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+// Uploads with a PATCH in flight, a second one would interleave bytes
+const resumableWrites = new Set();
+// Complete uploads whose video is being registered
+const resumableRegistrations = new Set();
+
+function getResumablePaths(uploadId) {
+    return {
+        state: path.join(resumableDir, `${uploadId}.json`),
+        part: path.join(resumableDir, `${uploadId}.part`)
+    };
+}
+
+function readResumableUpload(uploadId) {
+    if (!/^[0-9a-f-]{36}$/.test(uploadId)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(getResumablePaths(uploadId).state, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveResumableUpload(upload) {
+    fs.writeFileSync(getResumablePaths(upload.id).state, JSON.stringify(upload));
+}
+
+// "filename ZGF0YQ==,uploadedBy SmFu" -> { filename: 'data', uploadedBy: 'Jan' }
+function parseUploadMetadata(header) {
+    const metadata = {};
+    for (const pair of String(header || '').split(',')) {
+        const [key, value] = pair.trim().split(' ');
+        if (key) metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+    return metadata;
+}
+
+function setTusHeaders(res, upload) {
+    res.set('Tus-Resumable', TUS_VERSION);
+    res.set('Cache-Control', 'no-store');
+    if (upload) {
+        res.set('Upload-Offset', String(upload.offset));
+        res.set('Upload-Length', String(upload.length));
+        res.set('Upload-Expires', new Date(upload.updated_at + RESUMABLE_EXPIRY_MS).toUTCString());
+        // A PATCH that restarts the registration clears the earlier failure
+        res.removeHeader('Upload-Error');
+        if (upload.video_id) {
+            res.set('Upload-Video-Id', upload.video_id);
+        } else if (upload.offset === upload.length && !resumableRegistrations.has(upload.id)) {
+            // Complete but not registered: it failed, or a restart stopped it
+            res.set('Upload-Error', encodeURIComponent(upload.error || 'Registrace videa nedoběhla'));
+            if (upload.duplicate_of) res.set('Upload-Duplicate-Of', upload.duplicate_of.id);
+        }
+    }
+}
+
+app.options('/api/projects/:projectId/uploads', (req, res) => {
+    res.set('Tus-Version', TUS_VERSION);
+    res.set('Tus-Max-Size', String(MAX_UPLOAD_SIZE));
+    res.set('Tus-Extension', 'creation,expiration');
+    setTusHeaders(res);
+    res.status(204).end();
+});
+
+// Create an upload
+app.post('/api/projects/:projectId/uploads', async (req, res) => {
+    setTusHeaders(res);
+    try {
+        const length = parseInt(req.get('Upload-Length'), 10);
+        const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+        const filename = path.basename(metadata.filename || '');
+
+        if (!getMediaType(filename)) {
+            return res.status(400).json({ error: 'Nepodporovaný formát souboru' });
+        }
+        if (!Number.isSafeInteger(length) || length <= 0) {
+            return res.status(400).json({ error: 'Chybí velikost souboru' });
+        }
+        if (length > MAX_UPLOAD_SIZE) {
+            return res.status(413).json({ error: 'Soubor je příliš velký' });
+        }
+
+        const project = await getProject(req.params.projectId);
+        if (!project) {
+            return res.status(404).json({ error: 'Projekt nenalezen' });
+        }
+
+        const resumable = {
+            id: uuidv4(),
+            project_id: project.id,
+            filename,
+            uploaded_by: metadata.uploadedBy || 'anonymous',
+            length,
+            offset: 0,
+            video_id: null,
+            updated_at: Date.now()
+        };
+        fs.writeFileSync(getResumablePaths(resumable.id).part, '');
+        saveResumableUpload(resumable);
+
+        log(`📥 Resumable upload created: ${filename} (${length} B)`);
+        setTusHeaders(res, resumable);
+        res.set('Location', `/api/uploads/${resumable.id}`);
+        res.status(201).end();
+    } catch (error) {
+        console.error('Upload creation error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Current offset, the client continues from here
+app.head('/api/uploads/:id', (req, res) => {
+    const resumable = readResumableUpload(req.params.id);
+    setTusHeaders(res, resumable);
+    res.status(resumable ? 200 : 404).end();
+});
+
+// Append a chunk; the last one starts registering the video
+app.patch('/api/uploads/:id', async (req, res) => {
+    const uploadId = req.params.id;
+    const resumable = readResumableUpload(uploadId);
+    setTusHeaders(res, resumable);
+
+    if (!resumable) {
+        return res.status(404).json({ error: 'Nahrávání nenalezeno' });
+    }
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+        return res.status(415).json({ error: 'Neplatný typ obsahu' });
+    }
+    if (parseInt(req.get('Upload-Offset'), 10) !== resumable.offset || resumableWrites.has(uploadId)) {
+        return res.status(409).json({ error: 'Nesouhlasí pozice v souboru' });
+    }
+    if (resumable.duplicate_of) {
+        return res.status(409).json({ error: resumable.error, duplicateOf: resumable.duplicate_of });
+    }
+    if (resumable.video_id || resumableRegistrations.has(uploadId)) {
+        return res.status(204).end();
+    }
+
+    resumableWrites.add(uploadId);
+    const { part } = getResumablePaths(uploadId);
+
+    try {
+        // Bytes past the declared length are dropped
+        await new Promise((resolve, reject) => {
+            const output = fs.createWriteStream(part, { flags: 'a' });
+            let written = resumable.offset;
+
+            req.on('data', (chunk) => {
+                const room = resumable.length - written;
+                if (room <= 0) return;
+                const slice = chunk.length > room ? chunk.subarray(0, room) : chunk;
+                written += slice.length;
+                if (!output.write(slice)) {
+                    req.pause();
+                    output.once('drain', () => req.resume());
+                }
+            });
+            // A dropped connection keeps whatever arrived
+            req.on('end', () => output.end());
+            req.on('close', () => output.end());
+            req.on('error', () => output.end());
+            output.on('finish', resolve);
+            output.on('error', reject);
+        });
+
+        resumable.offset = fs.statSync(part).size;
+        resumable.updated_at = Date.now();
+        saveResumableUpload(resumable);
+
+        // Hashing, storing and probing take a while, HEAD reports when the
+        // video is in. A failed registration is retried by an empty PATCH at the full offset
+        if (resumable.offset === resumable.length) finishResumableUpload(resumable);
+
+        setTusHeaders(res, resumable);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Upload chunk error:', error);
+        if (!res.headersSent) res.status(error.status || 500).json({ error: error.message });
+    } finally {
+        resumableWrites.delete(uploadId);
+    }
+});
+
+// Runs after the last PATCH was answered, the outcome goes to the state
+async function finishResumableUpload(resumable) {
+    resumableRegistrations.add(resumable.id);
+    const { part } = getResumablePaths(resumable.id);
+
+    try {
+        // Noted before the rename, a restart mid-registration still finds the file
+        if (!resumable.file) {
+            resumable.file = path.join(uploadDir, `${Date.now()}-${uuidv4()}${path.extname(resumable.filename)}`);
+            saveResumableUpload(resumable);
+        }
+        if (fs.existsSync(part)) fs.renameSync(part, resumable.file);
+        resumable.error = null;
+
+        const video = await registerVideo({
+            projectId: resumable.project_id,
+            filePath: resumable.file,
+            originalFilename: resumable.filename,
+            fileSize: resumable.length,
+            uploadedBy: resumable.uploaded_by
+        });
+        resumable.video_id = video.id;
+        log(`✅ Resumable upload finished: ${resumable.filename}`);
+    } catch (error) {
+        console.error('Upload registration error:', error);
+        resumable.error = error.message;
+        // A refused duplicate is not retried
+        resumable.duplicate_of = error.duplicateOf || null;
+    } finally {
+        resumableRegistrations.delete(resumable.id);
+        // Only the state stays, it answers HEAD and a repeated final PATCH
+        saveResumableUpload(resumable);
+    }
+}
+
+// Drops uploads nobody continued within the expiry
+function cleanupResumableUploads() {
+    for (const file of fs.readdirSync(resumableDir)) {
+        if (!file.endsWith('.json')) continue;
+        const resumable = readResumableUpload(path.basename(file, '.json'));
+        if (resumable && Date.now() - resumable.updated_at < RESUMABLE_EXPIRY_MS) continue;
+
+        const paths = getResumablePaths(path.basename(file, '.json'));
+        fs.rmSync(paths.state, { force: true });
+        fs.rmSync(paths.part, { force: true });
+        // A registered upload's file belongs to its video
+        if (resumable?.file && !resumable.video_id) fs.rmSync(resumable.file, { force: true });
+    }
+}
+
+// ============================================
+// DIRECT UPLOADS (presigned S3 multipart)
+// ============================================
+// The browser PUTs parts straight to the bucket, the server only signs the
+// part URLs and registers the video once the upload is complete. The bucket
+// needs CORS allowing PUT from the app origin and exposing the ETag header.
+
+const DIRECT_UPLOAD_MIN_PART = 8 * 1024 * 1024;
+// S3 limit on the number of parts of one upload
+const DIRECT_UPLOAD_MAX_PARTS = 10000;
+const DIRECT_UPLOAD_URL_EXPIRY = 3600;
+
+// Clients pick direct or resumable uploads from this
+app.get('/api/upload-config', (req, res) => {
+    res.json({
+        success: true,
+        directUploads: STORAGE_DRIVER === 's3',
+        watchFolders: !!IMPORT_ROOT,
+        maxSize: MAX_UPLOAD_SIZE
+    });
+});
+
+function requireObjectStorage(res) {
+    if (STORAGE_DRIVER === 's3') return true;
+    res.status(501).json({ error: 'Úložiště objektů není nastaveno' });
+    return false;
+}
+
+// The key must belong to the project the client claims
+function isProjectOriginalKey(projectId, key) {
+    return typeof key === 'string' && key.startsWith(`originals/${projectId}/`) && !key.includes('..');
+}
+
+// Start a multipart upload
+app.post('/api/projects/:projectId/direct-uploads', async (req, res) => {
+    if (!requireObjectStorage(res)) return;
+    try {
+        const { filename, size, contentType } = req.body;
+        const ext = path.extname(filename || '');
+
+        if (!getMediaType(filename)) {
+            return res.status(400).json({ error: 'Nepodporovaný formát souboru' });
+        }
+        if (!Number.isSafeInteger(size) || size <= 0) {
+            return res.status(400).json({ error: 'Chybí velikost souboru' });
+        }
+        if (size > MAX_UPLOAD_SIZE) {
+            return res.status(413).json({ error: 'Soubor je příliš velký' });
+        }
+
+        const project = await getProject(req.params.projectId);
+        if (!project) {
+            return res.status(404).json({ error: 'Projekt nenalezen' });
+        }
+
+        const key = `originals/${project.id}/${uuidv4()}${ext.toLowerCase()}`;
+        const result = await s3.send(new CreateMultipartUploadCommand({
+            Bucket: BUCKET_NAME,
+            Key: key,
+            ContentType: contentType || 'application/octet-stream'
+        }));
+
+        const partSize = Math.max(DIRECT_UPLOAD_MIN_PART, Math.ceil(size / DIRECT_UPLOAD_MAX_PARTS));
+
+        res.json({
+            success: true,
+            key,
+            uploadId: result.UploadId,
+            partSize,
+            partCount: Math.ceil(size / partSize)
+        });
+    } catch (error) {
+        console.error('Direct upload start error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Presigned URLs for a batch of parts; requested again when they expire
+app.post('/api/projects/:projectId/direct-uploads/sign', async (req, res) => {
+    if (!requireObjectStorage(res)) return;
+    try {
+        const { key, uploadId, partNumbers } = req.body;
+
+        if (!isProjectOriginalKey(req.params.projectId, key) || !uploadId) {
+            return res.status(400).json({ error: 'Neplatné nahrávání' });
+        }
+        if (!Array.isArray(partNumbers) || partNumbers.length === 0 || partNumbers.length > 100 ||
+            !partNumbers.every(n => Number.isInteger(n) && n >= 1 && n <= DIRECT_UPLOAD_MAX_PARTS)) {
+            return res.status(400).json({ error: 'Neplatná čísla částí' });
+        }
+
+        const urls = {};
+        for (const partNumber of partNumbers) {
+            urls[partNumber] = await getSignedUrl(s3, new UploadPartCommand({
+                Bucket: BUCKET_NAME,
+                Key: key,
+                UploadId: uploadId,
+                PartNumber: partNumber
+            }), { expiresIn: DIRECT_UPLOAD_URL_EXPIRY });
+        }
+
+        res.json({ success: true, urls });
+    } catch (error) {
+        console.error('Direct upload sign error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Finish the upload and register the video
+app.post('/api/projects/:projectId/direct-uploads/complete', async (req, res) => {
+    if (!requireObjectStorage(res)) return;
+    try {
+        const { projectId } = req.params;
+        const { key, uploadId, parts, filename, size, uploadedBy } = req.body;
+
+        if (!isProjectOriginalKey(projectId, key) || !uploadId || !Array.isArray(parts) || parts.length === 0) {
+            return res.status(400).json({ error: 'Neplatné nahrávání' });
+        }
+
+        const project = await getProject(projectId);
+        if (!project) {
+            return res.status(404).json({ error: 'Projekt nenalezen' });
+        }
+
+        await s3.send(new CompleteMultipartUploadCommand({
+            Bucket: BUCKET_NAME,
+            Key: key,
+            UploadId: uploadId,
+            MultipartUpload: {
+                Parts: parts
+                    .map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+                    .sort((a, b) => a.PartNumber - b.PartNumber)
+            }
+        }));
+
+        const video = await registerVideo({
+            projectId,
+            storageKey: key,
+            originalFilename: path.basename(filename || key),
+            fileSize: size || null,
+            uploadedBy
+        });
+
+        log(`🪣 Direct upload registered, processing: ${video.original_filename}`);
+        res.json({ success: true, video });
+    } catch (error) {
+        console.error('Direct upload complete error:', error);
+        res.status(error.status || 500).json({ error: error.message, duplicateOf: error.duplicateOf });
+    }
+});
+
+// Cancel an unfinished upload, the bucket drops its parts
+app.post('/api/projects/:projectId/direct-uploads/abort', async (req, res) => {
+    if (!requireObjectStorage(res)) return;
+    try {
+        const { key, uploadId } = req.body;
+        if (!isProjectOriginalKey(req.params.projectId, key) || !uploadId) {
+            return res.status(400).json({ error: 'Neplatné nahrávání' });
+        }
+
+        await s3.send(new AbortMultipartUploadCommand({ Bucket: BUCKET_NAME, Key: key, UploadId: uploadId }));
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Local path of a video's original, fetched again when the cache was wiped.
+// Long jobs pass a list, the key is held and goes on it for release.
+async function getOriginalPath(video, held = null) {
+    if (video.storage_key) {
+        if (!held) return fileStorage.getLocalPath(video.storage_key);
+        // A failed hold releases itself, only a successful one goes on the list
+        const localPath = await fileStorage.hold(video.storage_key);
+        held.push(video.storage_key);
+        return localPath;
+    }
+    return video.original_path && fs.existsSync(video.original_path) ? video.original_path : null;
+}
+
+// A failed delete only leaves an orphaned file behind
+async function deleteStoredFiles(keys) {
+    for (const key of keys) {
+        if (!key) continue;
+        try {
+            await fileStorage.delete(key);
+        } catch (e) {
+            console.error(`Failed to delete stored file ${key}`, e);
+        }
+    }
+}
+
+// What the player gets per media type
+const PROXY_FORMATS = {
+    video: { extension: 'mp4', contentType: 'video/mp4' },
+    photo: { extension: 'jpg', contentType: 'image/jpeg' },
+    audio: { extension: 'm4a', contentType: 'audio/mp4' }
+};
+
+// Stores the proxy and thumbnail generated for a video, photo or audio file
+async function generateStoredPreviews(videoId, filePath) {
+    const mediaType = getMediaType(filePath) || 'video';
+    const { extension, contentType } = PROXY_FORMATS[mediaType];
+    const proxyPath = path.join(proxyDir, `${videoId}.${extension}`);
+    const thumbPath = path.join(thumbnailDir, `${videoId}.jpg`);
+    const proxyKey = `proxies/${videoId}.${extension}`;
+    const thumbnailKey = `thumbnails/${videoId}.jpg`;
+
+    if (mediaType === 'photo') {
+        await generatePhotoPreviews(filePath, proxyPath, thumbPath);
+    } else if (mediaType === 'audio') {
+        await generateAudioPreviews(filePath, proxyPath, thumbPath);
+    } else {
+        // Rotation and HDR decide the filters
+        const metadata = await getVideoMetadata(filePath);
+        await generateProxy(filePath, proxyPath, metadata);
+        await generateThumbnail(filePath, thumbPath, metadata);
+    }
+
+    await fileStorage.put(proxyKey, proxyPath, contentType);
+    await fileStorage.put(thumbnailKey, thumbPath, 'image/jpeg');
+
+    return {
+        proxy_key: proxyKey,
+        thumbnail_key: thumbnailKey,
+        proxy_url: fileUrl(proxyKey),
+        thumbnail_url: fileUrl(thumbnailKey)
+    };
+}
+
+// Local proxy generation
+async function generateProxyLocally(videoId, filePath, projectId) {
+    try {
+        console.log(`⏳ Generating proxy for ${videoId}...`);
+
+        const previews = await generateStoredPreviews(videoId, filePath);
+
+        // Update video record
+        await updateVideoAndDuplicates(videoId, { ...previews, processing_status: 'ready' });
+
+        console.log(`✅ Proxy ready: ${videoId}`);
+        await queueRecordingUpdate(projectId);
+    } catch (error) {
+        console.error(`❌ Proxy generation failed for ${videoId}:`, error);
+        await updateVideoAndDuplicates(videoId, { processing_status: 'failed' });
+    }
+}
+
+
+// Cloud proxy generation (Postgres + file storage)
+async function processVideoForCloud(videoId, filePath, projectId) {
+    try {
+        console.log(`☁️ Cloud processing: Generating proxy for ${videoId}...`);
+
+        const previews = await generateStoredPreviews(videoId, filePath);
+
+        // Update DB
+        await updateVideoAndDuplicates(videoId, { ...previews, processing_status: 'ready' });
+
+        console.log(`✅ Cloud processing complete: ${videoId}`);
+        await queueRecordingUpdate(projectId);
+
+    } catch (error) {
+        console.error(`❌ Cloud processing failed for ${videoId}:`, error);
+
+        // Update DB with error
+        try {
+            await updateVideoAndDuplicates(videoId, { processing_status: 'failed' });
+        } catch (dbError) {
+            console.error('Failed to update error status in DB:', dbError);
+        }
+    }
+}
+
+// Editable video settings
+const VIDEO_FIELDS = {
+    included: (v) => typeof v === 'boolean',
+    muted: (v) => typeof v === 'boolean',
+    // Gain applied after loudness normalization, 1 = unchanged
+    volume: (v) => typeof v === 'number' && v >= 0 && v <= 2,
+    // Photos: clip length (null = project default) and slow pan/zoom
+    still_duration: (v) => v === null || isStillDuration(v),
+    ken_burns: (v) => typeof v === 'boolean'
+};
+
+// Update video settings
+app.patch('/api/videos/:id', async (req, res) => {
+    try {
+        const { updates, error } = pickValidFields(req.body, VIDEO_FIELDS);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'Nic ke změně' });
+        }
+
+        let video;
+        if (IS_LOCAL_MODE) {
+            video = localStore.videos.get(req.params.id);
+            if (video) Object.assign(video, updates);
+        } else {
+            video = await updateRow('videos', req.params.id, updates);
+        }
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video nenalezeno' });
+        }
+
+        res.json({ success: true, video });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete video
+app.delete('/api/videos/:id', async (req, res) => {
+    try {
+        const video = await getVideo(req.params.id);
+        // A recording goes with all its chapters
+        const parts = video ? video.chapters || [video] : [];
+        for (const part of parts) {
+            // Files shared with duplicates stay while one of them is left
+            if (part.duplicate_of || await handOverDuplicates(part)) continue;
+            // Imported files are the user's own, only our uploads are removed
+            if (part.original_path && isInsideDir(uploadDir, part.original_path)) {
+                fs.rmSync(part.original_path, { force: true });
+            }
+            await deleteStoredFiles([part.storage_key, part.proxy_key, part.thumbnail_key]);
+        }
+        if (video) {
+            await deleteStoredFiles([video.recording_proxy_key]);
+        }
+
+        const ids = video ? parts.map(part => part.id) : [req.params.id];
+        if (IS_LOCAL_MODE) {
+            ids.forEach(id => localStore.videos.delete(id));
+        } else {
+            await pool.query('DELETE FROM videos WHERE id = ANY($1)', [ids]);
+        }
+        // A watch folder must not bring the files back
+        const importPaths = parts.map(part => part.import_path).filter(Boolean);
+        if (importPaths.length > 0) {
+            await addDeletedImports(video.project_id, importPaths);
+        }
+        // Duplicates that took over chapter files form the recording again
+        if (video) {
+            await queueRecordingUpdate(video.project_id);
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// MARKS ROUTES
+// ============================================
+
+// Add mark
+app.post('/api/videos/:videoId/marks', async (req, res) => {
+    try {
+        const { in_point, out_point } = req.body;
+
+        const mark = {
+            id: uuidv4(),
+            video_id: req.params.videoId,
+            in_point,
+            out_point,
+            created_at: new Date().toISOString()
+        };
+
+        if (IS_LOCAL_MODE) {
+            localStore.marks.set(mark.id, mark);
+            // Update video's marks array
+            const video = localStore.videos.get(req.params.videoId);
+            if (video) {
+                if (!video.marks) video.marks = [];
+                video.marks.push(mark);
+            }
+        } else {
+            const result = await pool.query(
+                'INSERT INTO marks (video_id, in_point, out_point) VALUES ($1, $2, $3) RETURNING *',
+                [req.params.videoId, in_point, out_point]
+            );
+            Object.assign(mark, result.rows[0]);
+        }
+
+        res.json({ success: true, mark });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Editable mark properties
+const MARK_FIELDS = {
+    // Horizontal crop focus for vertical/square exports, 0 = left edge, 1 = right edge
+    crop_x: (v) => v === null || isUnitInterval(v),
+    // Transition into the following clip, null = project default
+    transition_type: (v) => v === null || TRANSITION_TYPES.includes(v),
+    transition_duration: (v) => v === null || isTransitionDuration(v),
+    // Text overlay; the date type defaults to the video's best date when the text is empty
+    overlay_type: (v) => v === null || OVERLAY_TYPES.includes(v),
+    overlay_text: (v) => v === null || (typeof v === 'string' && v.length <= 200),
+    overlay_style: (v) => v === null || isOverlayStyle(v),
+    // Chapter title in exports
+    label: (v) => v === null || (typeof v === 'string' && v.length <= 200)
+};
+
+// Update mark
+app.patch('/api/marks/:id', async (req, res) => {
+    try {
+        const { updates, error } = pickValidFields(req.body, MARK_FIELDS);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'Nic ke změně' });
+        }
+
+        let mark;
+        if (IS_LOCAL_MODE) {
+            mark = localStore.marks.get(req.params.id);
+            if (mark) Object.assign(mark, updates);
+        } else {
+            mark = await updateRow('marks', req.params.id, updates);
+        }
+
+        if (!mark) {
+            return res.status(404).json({ error: 'Značka nenalezena' });
+        }
+
+        res.json({ success: true, mark });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete mark
+app.delete('/api/marks/:id', async (req, res) => {
+    try {
+        if (IS_LOCAL_MODE) {
+            localStore.marks.delete(req.params.id);
+            // Also remove from video's marks array
+            for (const [key, video] of localStore.videos) {
+                if (video.marks) {
+                    video.marks = video.marks.filter(m => m.id !== req.params.id);
+                }
+            }
+        } else {
+            await pool.query('DELETE FROM marks WHERE id = $1', [req.params.id]);
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// STILL FRAME AND ANIMATION ROUTES
+// ============================================
+
+const STILL_FORMATS = {
+    jpg: { args: ['-q:v', '2'], contentType: 'image/jpeg' },
+    png: { args: ['-compression_level', '6'], contentType: 'image/png' }
+};
+
+// Long marks are cut to their start, GIFs get huge quickly
+const ANIMATION_MAX_DURATION = 15;
+const ANIMATION_FORMATS = {
+    gif: {
+        fps: 12,
+        // Palette per clip instead of the generic 256 colours
+        filter: (width, fps) => `fps=${fps},scale=${width}:-2:flags=lanczos,split[a][b];` +
+            '[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer:bayer_scale=5',
+        args: ['-loop', '0']
+    },
+    webp: {
+        fps: 15,
+        filter: (width, fps) => `fps=${fps},scale=${width}:-2:flags=lanczos`,
+        args: ['-c:v', 'libwebp', '-lossless', '0', '-q:v', '70', '-loop', '0']
+    }
+};
+
+// Renders into a temporary file, sends it as a download and removes it
+async function sendRenderedFile(res, extension, downloadName, render) {
+    const tempPath = path.join(exportDir, `.render-${uuidv4()}.${extension}`);
+
+    try {
+        await render(tempPath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+
+    res.download(tempPath, downloadName, () => fs.rmSync(tempPath, { force: true }));
+}
+
+// Full resolution frame from the original file (the player shows the 640px proxy)
+app.get('/api/videos/:id/frame', async (req, res) => {
+    try {
+        const format = STILL_FORMATS[req.query.format] ? req.query.format : 'jpg';
+        const time = parseFloat(req.query.t);
+
+        const video = await getVideo(req.params.id);
+        if (!video) {
+            return res.status(404).json({ error: 'Video nenalezeno' });
+        }
+        if (!isFinite(time) || time < 0 || (video.duration && time > video.duration)) {
+            return res.status(400).json({ error: 'Neplatný čas snímku' });
+        }
+        // Recording time -> chapter file and time within it
+        const source = video.chapters ? video.chapters.findLast(chapter => chapter.offset <= time) : video;
+        const originalPath = await getOriginalPath(source);
+        if (!originalPath) {
+            return res.status(404).json({ error: 'Video nenalezeno' });
+        }
+
+        const downloadName = `${path.parse(video.original_filename).name}_${time.toFixed(2)}s.${format}`;
+        await sendRenderedFile(res, format, downloadName, (outputPath) => runFfmpeg([
+            '-ss', (time - (source.offset || 0)).toFixed(3),
+            '-i', originalPath,
+            '-frames:v', '1',
+            ...STILL_FORMATS[format].args,
+            outputPath
+        ]));
+    } catch (error) {
+        console.error('Frame export error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Short looping GIF / animated WebP of a mark
+app.get('/api/marks/:id/animation', async (req, res) => {
+    try {
+        const format = ANIMATION_FORMATS[req.query.format] ? req.query.format : 'gif';
+        const width = parseInt(req.query.width, 10) || 480;
+        if (width < 120 || width > 1280) {
+            return res.status(400).json({ error: 'Šířka musí být 120–1280 px' });
+        }
+
+        const mark = await getMark(req.params.id);
+        if (!mark) {
+            return res.status(404).json({ error: 'Značka nenalezena' });
+        }
+        const video = await getVideo(mark.video_id);
+        if (!video) {
+            return res.status(404).json({ error: 'Video nenalezeno' });
+        }
+
+        // Marks of a recording may cross chapter files, those are read as one
+        const listDir = fs.mkdtempSync(path.join(exportDir, '.input-'));
+        try {
+            const input = await getVideoInput(video, listDir);
+            if (!input) {
+                return res.status(404).json({ error: 'Video nenalezeno' });
+            }
+
+            const { fps, filter, args } = ANIMATION_FORMATS[format];
+            const duration = Math.min(mark.out_point - mark.in_point, ANIMATION_MAX_DURATION);
+            const downloadName = `${path.parse(video.original_filename).name}_${mark.in_point.toFixed(1)}s.${format}`;
+
+            await sendRenderedFile(res, format, downloadName, (outputPath) => runFfmpeg([
+                '-ss', mark.in_point.toFixed(3),
+                '-t', duration.toFixed(3),
+                ...input.args,
+                '-an',
+                '-filter_complex', filter(width, fps),
+                ...args,
+                outputPath
+            ]));
+        } finally {
+            fs.rmSync(listDir, { recursive: true, force: true });
+        }
+    } catch (error) {
+        console.error('Animation export error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// AUDIO SYNC
+// ============================================
+// Clips of one event filmed by several people share the sound. Their
+// onset envelopes are cross-correlated and the lag corrects the clock of
+// the other device, so the clips line up on the shared timeline.
+
+// Envelope samples per second, the lag is refined between them
+const SYNC_ENVELOPE_RATE = 100;
+const SYNC_SAMPLE_RATE = 8000;
+// Only the start of long clips is analysed
+const SYNC_MAX_DURATION = 15 * 60;
+const SYNC_MIN_OVERLAP = 5;
+// Correlation peak in standard deviations of unrelated audio, which reaches about 8
+const SYNC_MIN_SCORE = 12;
+// Clips whose (uncorrected) dates are this far from the reference are not tried
+const SYNC_SEARCH_WINDOW = 30 * 60;
+const SYNC_MAX_CANDIDATES = 20;
+// Seconds of audio decoded per request, reference included; the farthest clips are left out
+const SYNC_MAX_TOTAL_DURATION = 60 * 60;
+// One sync at a time, decoding and correlating keep a core busy
+let isAudioSyncRunning = false;
+
+/**
+ * Onset strength of the audio at SYNC_ENVELOPE_RATE: rises of the log
+ * energy, normalized to zero mean and unit variance. Rises rather than
+ * levels, phones differ in gain and noise floor but hear the same claps.
+ */
+async function extractOnsetEnvelope(video, workDir) {
+    const input = await getVideoInput(video, workDir);
+    if (!input) return null;
+
+    const pcmPath = path.join(workDir, `${video.id}.pcm`);
+    await runFfmpeg([
+        ...input.args,
+        '-t', String(SYNC_MAX_DURATION),
+        '-map', '0:a:0', '-vn',
+        '-ac', '1', '-ar', String(SYNC_SAMPLE_RATE),
+        '-f', 's16le', pcmPath
+    ]);
+    const pcm = fs.readFileSync(pcmPath);
+    fs.rmSync(pcmPath, { force: true });
+
+    const window = SYNC_SAMPLE_RATE / SYNC_ENVELOPE_RATE;
+    const length = Math.floor(pcm.length / 2 / window);
+    if (length < SYNC_MIN_OVERLAP * SYNC_ENVELOPE_RATE) return null;
+
+    const envelope = new Float64Array(length);
+    let previous = null;
+    for (let i = 0; i < length; i++) {
+        let energy = 0;
+        for (let j = 0; j < window; j++) {
+            const sample = pcm.readInt16LE((i * window + j) * 2) / 32768;
+            energy += sample * sample;
+        }
+        const level = Math.log(1e-8 + energy / window);
+        envelope[i] = previous === null ? 0 : Math.max(0, level - previous);
+        previous = level;
+    }
+
+    const mean = envelope.reduce((sum, v) => sum + v, 0) / length;
+    const deviation = Math.sqrt(envelope.reduce((sum, v) => sum + (v - mean) ** 2, 0) / length);
+    if (!deviation) return null;
+    return envelope.map(v => (v - mean) / deviation);
+}
+
+// In-place iterative radix-2 FFT, inverse without the 1/n scaling
+function fft(re, im, inverse = false) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = (inverse ? 2 : -2) * Math.PI / size;
+        const stepRe = Math.cos(angle);
+        const stepIm = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * wRe - im[b] * wIm;
+                const tIm = re[b] * wIm + im[b] * wRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                [wRe, wIm] = [wRe * stepRe - wIm * stepIm, wRe * stepIm + wIm * stepRe];
+            }
+        }
+    }
+}
+
+/**
+ * Lag (s) of the target's start after the reference's start where their
+ * envelopes match best, with the peak's score in standard deviations.
+ */
+function correlateEnvelopes(reference, target) {
+    let size = 1;
+    while (size < reference.length + target.length) size <<= 1;
+
+    const refRe = new Float64Array(size);
+    const refIm = new Float64Array(size);
+    const tgtRe = new Float64Array(size);
+    const tgtIm = new Float64Array(size);
+    refRe.set(reference);
+    tgtRe.set(target);
+    fft(refRe, refIm);
+    fft(tgtRe, tgtIm);
+
+    // Reference times conjugated target: index k holds the sum of reference[t + k] * target[t]
+    for (let i = 0; i < size; i++) {
+        const re = refRe[i] * tgtRe[i] + refIm[i] * tgtIm[i];
+        const im = refIm[i] * tgtRe[i] - refRe[i] * tgtIm[i];
+        refRe[i] = re;
+        refIm[i] = im;
+    }
+    fft(refRe, refIm, true);
+
+    // Unrelated normalized envelopes sum to sqrt(overlap) per standard deviation,
+    // dividing by it scores short and long overlaps alike
+    const minOverlap = SYNC_MIN_OVERLAP * SYNC_ENVELOPE_RATE;
+    const scores = new Map();
+    for (let lag = -(target.length - minOverlap); lag <= reference.length - minOverlap; lag++) {
+        const overlap = Math.min(reference.length - lag, target.length) - Math.max(0, -lag);
+        scores.set(lag, refRe[(lag + size) % size] / size / Math.sqrt(overlap));
+    }
+    if (scores.size < 3) return null;
+
+    let best = null;
+    for (const [lag, score] of scores) {
+        if (best === null || score > scores.get(best)) best = lag;
+    }
+
+    // Parabola through the peak and its neighbours for a lag between envelope samples
+    const [before, peak, after] = [scores.get(best - 1), scores.get(best), scores.get(best + 1)];
+    const curvature = before - 2 * peak + after;
+    const shift = before !== undefined && after !== undefined && curvature < 0
+        ? (before - after) / (2 * curvature)
+        : 0;
+
+    return {
+        lag: (best + shift) / SYNC_ENVELOPE_RATE,
+        score: peak
+    };
+}
+
+// Start and end of a video on the shared timeline, ms
+function getVideoSpan(video) {
+    const start = getBestDate(video)?.getTime();
+    return start === undefined ? null : { start, end: start + (video.duration || 0) * 1000 };
+}
+
+// Clips of other devices filmed around the reference, nearest first
+function findSyncCandidates(reference, videos) {
+    const span = getVideoSpan(reference);
+    if (!span) return [];
+    const window = SYNC_SEARCH_WINDOW * 1000;
+
+    return videos
+        .filter(video => video.clock_group !== reference.clock_group && !video.duplicate_of && video.has_audio !== false)
+        .map(video => ({ video, span: getVideoSpan(video) }))
+        .filter(({ span: other }) => other && other.start < span.end + window && other.end > span.start - window)
+        .sort((a, b) => Math.abs(a.span.start - span.start) - Math.abs(b.span.start - span.start))
+        .slice(0, SYNC_MAX_CANDIDATES)
+        .map(({ video }) => video);
+}
+
+// Targets in the given order while the decoded audio stays within SYNC_MAX_TOTAL_DURATION
+function limitSyncWork(reference, candidates) {
+    const cost = (video) => Math.min(video.duration || SYNC_MAX_DURATION, SYNC_MAX_DURATION);
+    let budget = SYNC_MAX_TOTAL_DURATION - cost(reference);
+    const targets = [];
+    for (const video of candidates.slice(0, SYNC_MAX_CANDIDATES)) {
+        budget -= cost(video);
+        if (budget < 0) break;
+        targets.push(video);
+    }
+    return targets;
+}
+
+/**
+ * Proposed clock offsets, the best matching clip per device. A target
+ * starting `lag` seconds after the reference gets the clock that puts it there.
+ */
+async function proposeAudioSync(reference, targets) {
+    const workDir = fs.mkdtempSync(path.join(exportDir, '.sync-'));
+    try {
+        const referenceEnvelope = await extractOnsetEnvelope(reference, workDir);
+        if (!referenceEnvelope) {
+            throw new Error(`Video ${reference.original_filename} nemá použitelný zvuk`);
+        }
+
+        const proposals = new Map();
+        for (const target of targets) {
+            const targetDate = target.metadata_date || target.filename_date;
+            if (!targetDate) continue;
+
+            let match = null;
+            try {
+                const envelope = await extractOnsetEnvelope(target, workDir);
+                match = envelope && correlateEnvelopes(referenceEnvelope, envelope);
+            } catch (error) {
+                log(`⚠️ Audio sync skipped ${target.original_filename}: ${error.message}`);
+            }
+            if (!match) continue;
+
+            const previous = proposals.get(target.clock_group);
+            if (previous && previous.score >= match.score) continue;
+
+            const moment = getBestDate(reference).getTime() + match.lag * 1000;
+            const clockOffset = Math.round((moment - new Date(targetDate).getTime()) / 10) / 100;
+            proposals.set(target.clock_group, {
+                video_id: target.id,
+                original_filename: target.original_filename,
+                clock_group: target.clock_group,
+                lag: Math.round(match.lag * 1000) / 1000,
+                score: Math.round(match.score * 10) / 10,
+                clock_offset: clockOffset,
+                reliable: match.score >= SYNC_MIN_SCORE && isClockOffsets({ [target.clock_group]: clockOffset })
+            });
+        }
+        return [...proposals.values()];
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Clock offsets of the project's other devices from the reference clip's
+ * sound. Targets default to clips filmed around it; apply saves the
+ * reliable proposals right away.
+ */
+app.post('/api/projects/:id/audio-sync', async (req, res) => {
+    try {
+        const { reference_id: referenceId, target_ids: targetIds, apply = false } = req.body || {};
+        if (typeof referenceId !== 'string' || (targetIds !== undefined && !Array.isArray(targetIds))) {
+            return res.status(400).json({ error: 'Chybí referenční video' });
+        }
+
+        const project = await getProject(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Projekt nenalezen' });
+        }
+        const videos = await getProjectVideos(project.id);
+        const reference = videos.find(v => v.id === referenceId);
+        if (!reference) {
+            return res.status(404).json({ error: 'Video nenalezeno' });
+        }
+        if (reference.has_audio === false) {
+            return res.status(400).json({ error: 'Referenční video nemá zvuk' });
+        }
+
+        const candidates = targetIds
+            ? videos.filter(v => targetIds.includes(v.id) && v.clock_group !== reference.clock_group)
+            : findSyncCandidates(reference, videos);
+        if (candidates.length === 0) {
+            return res.status(400).json({ error: 'Žádná videa z jiných zařízení k porovnání' });
+        }
+        const targets = limitSyncWork(reference, candidates);
+        if (isAudioSyncRunning) {
+            return res.status(429).json({ error: 'Porovnání zvuku už běží, zkuste to za chvíli' });
+        }
+
+        log(`🔊 Audio sync: ${reference.original_filename} against ${targets.length} clips`);
+        let proposals;
+        isAudioSyncRunning = true;
+        try {
+            proposals = await proposeAudioSync(reference, targets);
+        } finally {
+            isAudioSyncRunning = false;
+        }
+
+        let saved = project;
+        const reliable = proposals.filter(proposal => proposal.reliable);
+        if (apply && reliable.length > 0) {
+            saved = await setClockOffsets(project, Object.fromEntries(
+                reliable.map(proposal => [proposal.clock_group, proposal.clock_offset])
+            ));
+        }
+
+        res.json({
+            success: true,
+            proposals,
+            applied: apply && reliable.length > 0,
+            skipped: candidates.length - targets.length,
+            project: saved
+        });
+    } catch (error) {
+        console.error('Audio sync error:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// TITLE CARDS ROUTES
+// ============================================
+
+// Editable card properties; title cards open the sequence, end cards close it
+const CARD_FIELDS = {
+    kind: (v) => v === 'title' || v === 'end',
+    text: (v) => typeof v === 'string' && v.trim().length > 0 && v.length <= 500,
+    duration: (v) => typeof v === 'number' && v >= 1 && v <= 30,
+    style: (v) => v === null || isOverlayStyle(v),
+    order_index: (v) => Number.isInteger(v)
+};
+
+async function getProjectCards(projectId) {
+    if (IS_LOCAL_MODE) {
+        return [...localStore.cards.values()]
+            .filter(card => card.project_id === projectId)
+            .sort((a, b) => (a.order_index || 0) - (b.order_index || 0));
+    }
+
+    const result = await pool.query(
+        'SELECT * FROM cards WHERE project_id = $1 ORDER BY order_index, created_at',
+        [projectId]
+    );
+    return result.rows;
+}
+
+// Add card
+app.post('/api/projects/:projectId/cards', async (req, res) => {
+    try {
+        const { updates, error } = pickValidFields(req.body, CARD_FIELDS);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (!updates.kind || !updates.text) {
+            return res.status(400).json({ error: 'Chybí typ nebo text titulku' });
+        }
+
+        const card = {
+            id: uuidv4(),
+            project_id: req.params.projectId,
+            duration: 3,
+            style: null,
+            order_index: 0,
+            ...updates,
+            created_at: new Date().toISOString()
+        };
+
+        if (IS_LOCAL_MODE) {
+            localStore.cards.set(card.id, card);
+        } else {
+            const result = await pool.query(
+                `INSERT INTO cards (id, project_id, kind, text, duration, style, order_index)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+                [card.id, card.project_id, card.kind, card.text, card.duration, card.style, card.order_index]
+            );
+            Object.assign(card, result.rows[0]);
+        }
+
+        res.json({ success: true, card });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update card
+app.patch('/api/cards/:id', async (req, res) => {
+    try {
+        const { updates, error } = pickValidFields(req.body, CARD_FIELDS);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'Nic ke změně' });
+        }
+
+        let card;
+        if (IS_LOCAL_MODE) {
+            card = localStore.cards.get(req.params.id);
+            if (card) Object.assign(card, updates);
+        } else {
+            card = await updateRow('cards', req.params.id, updates);
+        }
+
+        if (!card) {
+            return res.status(404).json({ error: 'Titulek nenalezen' });
+        }
+
+        res.json({ success: true, card });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete card
+app.delete('/api/cards/:id', async (req, res) => {
+    try {
+        if (IS_LOCAL_MODE) {
+            localStore.cards.delete(req.params.id);
+        } else {
+            await pool.query('DELETE FROM cards WHERE id = $1', [req.params.id]);
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// EXPORT ROUTES
+// ============================================
+
+// Start export
+app.post('/api/projects/:projectId/export', async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const {
+            name, createdBy, preset = DEFAULT_EXPORT_PRESET, aspect = '16:9', loudness = DEFAULT_LOUDNESS_TARGET,
+            chapters = 'none', chapterTitle = 'filename', subtitles = null, highlightTarget = null
+        } = req.body;
+
+        if (!Object.hasOwn(EXPORT_PRESETS, preset)) {
+            return res.status(400).json({ error: 'Neznámý preset exportu' });
+        }
+        if (!Object.hasOwn(EXPORT_ASPECTS, aspect)) {
+            return res.status(400).json({ error: 'Nepodporovaný poměr stran' });
+        }
+        if (loudness !== null && !(typeof loudness === 'number' && loudness >= -36 && loudness <= -8)) {
+            return res.status(400).json({ error: 'Neplatná cílová hlasitost' });
+        }
+        if (!CHAPTER_MODES.includes(chapters) || !CHAPTER_TITLES.includes(chapterTitle)) {
+            return res.status(400).json({ error: 'Neplatné nastavení kapitol' });
+        }
+        if (subtitles !== null && !SIDECAR_FORMATS.includes(subtitles)) {
+            return res.status(400).json({ error: 'Nepodporovaný formát titulků' });
+        }
+
+        if (highlightTarget !== null && !(typeof highlightTarget === 'number'
+            && highlightTarget >= HIGHLIGHT_MIN_TARGET && highlightTarget <= HIGHLIGHT_MAX_TARGET)) {
+            return res.status(400).json({ error: `Délka upoutávky musí být ${HIGHLIGHT_MIN_TARGET}–${HIGHLIGHT_MAX_TARGET} s` });
+        }
+
+        const options = { aspect, loudness, chapters, chapterTitle, subtitles, highlightTarget };
+
+        const exportId = uuidv4();
+
+        const exportData = {
+            id: exportId,
+            project_id: projectId,
+            name: name || 'export',
+            preset,
+            options,
+            created_by: createdBy || 'anonymous',
+            status: 'queued',
+            progress: 0,
+            created_at: new Date().toISOString()
+        };
+
+        if (IS_LOCAL_MODE) {
+            localStore.exports.set(exportId, exportData);
+            processExportLocally(exportId, projectId);
+        } else {
+            await pool.query(
+                'INSERT INTO exports (id, project_id, name, preset, options, created_by, status) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+                [exportId, projectId, exportData.name, preset, options, exportData.created_by, 'queued']
+            );
+            // Picked up by the export worker
+            runExportWorker();
+        }
+
+        res.json({ success: true, exportId });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List export presets
+app.get('/api/export-presets', (req, res) => {
+    const presets = Object.entries(EXPORT_PRESETS).map(([id, preset]) => ({ id, ...preset }));
+    res.json({ success: true, presets, default: DEFAULT_EXPORT_PRESET, aspects: Object.keys(EXPORT_ASPECTS) });
+});
+
+// Get export status
+app.get('/api/exports/:id', async (req, res) => {
+    try {
+        let exportData;
+
+        if (IS_LOCAL_MODE) {
+            exportData = localStore.exports.get(req.params.id);
+        } else {
+            const result = await pool.query(
+                `SELECT *, EXTRACT(EPOCH FROM (NOW() - started_at)) AS elapsed_seconds
+                 FROM exports WHERE id = $1`,
+                [req.params.id]
+            );
+            exportData = result.rows[0];
+        }
+
+        if (!exportData) {
+            return res.status(404).json({ error: 'Export nenalezen' });
+        }
+
+        res.json({ success: true, export: await formatExport(exportData) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Export history of a project, newest first
+app.get('/api/projects/:id/exports', async (req, res) => {
+    try {
+        let exports;
+
+        if (IS_LOCAL_MODE) {
+            exports = Array.from(localStore.exports.values())
+                .filter(e => e.project_id === req.params.id)
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        } else {
+            const result = await pool.query(
+                `SELECT *, EXTRACT(EPOCH FROM (NOW() - started_at)) AS elapsed_seconds
+                 FROM exports WHERE project_id = $1
+                 ORDER BY created_at DESC`,
+                [req.params.id]
+            );
+            exports = result.rows;
+        }
+
+        res.json({ success: true, exports: await Promise.all(exports.map(e => formatExport(e, { checkFiles: true }))) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Cancel a queued or running export, or delete a finished one with its file
+app.delete('/api/exports/:id', async (req, res) => {
+    try {
+        const exportId = req.params.id;
+        let exportData;
+
+        if (IS_LOCAL_MODE) {
+            exportData = localStore.exports.get(exportId);
+        } else {
+            const result = await pool.query('SELECT * FROM exports WHERE id = $1', [exportId]);
+            exportData = result.rows[0];
+        }
+
+        if (!exportData) {
+            return res.status(404).json({ error: 'Export nenalezen' });
+        }
+
+        if (['queued', 'processing'].includes(exportData.status)) {
+            if (IS_LOCAL_MODE) {
+                Object.assign(exportData, { status: 'cancelled', phase: null, completed_at: new Date().toISOString() });
+            } else {
+                const result = await pool.query(
+                    `UPDATE exports SET status = 'cancelled', phase = NULL, completed_at = NOW()
+                     WHERE id = $1 AND status IN ('queued', 'processing')
+                     RETURNING *`,
+                    [exportId]
+                );
+                exportData = result.rows[0] || exportData;
+            }
+
+            // Running here: kill ffmpeg now. A job on another instance notices
+            // the status on its next progress write or heartbeat.
+            activeExports.get(exportId)?.abort();
+
+            log(`🛑 Export cancelled: ${exportId}`);
+            return res.json({ success: true, export: await formatExport(exportData) });
+        }
+
+        await deleteStoredFiles([exportFileKey(exportData.export_key), exportFileKey(exportData.sidecar_key)]);
+
+        if (IS_LOCAL_MODE) {
+            localStore.exports.delete(exportId);
+        } else {
+            await pool.query('DELETE FROM exports WHERE id = $1', [exportId]);
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Local export processing
+async function processExportLocally(exportId, projectId) {
+    const exportData = localStore.exports.get(exportId);
+    if (!exportData || exportData.status !== 'queued') return;
+
+    const controller = new AbortController();
+    activeExports.set(exportId, controller);
+
+    try {
+        exportData.status = 'processing';
+        exportData.started_at = new Date().toISOString();
+
+        // Get videos for this project
+        const videos = (await getProjectVideos(projectId))
+            .filter(video => video.included && video.processing_status === 'ready');
+        const cards = await getProjectCards(projectId);
+
+        const { filename, sidecarFilename, fileSize, duration } = await renderExport(exportData, videos, cards, ({ phase, progress }) => {
+            exportData.phase = phase;
+            exportData.progress = progress;
+        }, controller.signal);
+
+        exportData.progress = 100;
+        exportData.phase = null;
+        exportData.status = 'ready';
+        exportData.export_key = filename;
+        exportData.sidecar_key = sidecarFilename;
+        exportData.file_size = fileSize;
+        exportData.duration = duration;
+        exportData.completed_at = new Date().toISOString();
+
+        console.log(`✅ Export completed: ${exportId}`);
+    } catch (error) {
+        if (controller.signal.aborted) {
+            console.log(`🛑 Export stopped: ${exportId}`);
+        } else {
+            console.error(`❌ Export failed: ${exportId}`, error);
+            exportData.status = 'failed';
+            exportData.error_message = error.message;
+        }
+    } finally {
+        activeExports.delete(exportId);
+    }
+}
+
+// Adds the derived fields the client needs (download URL, ETA)
+// export_key and sidecar_key hold file names under exports/ in the storage
+function exportFileKey(filename) {
+    return filename ? `exports/${filename}` : null;
+}
+
+// checkFiles looks the files up in the storage (a HEAD each on S3), only
+// the history list does that, status polls trust the stored keys
+async function formatExport(exportData, { checkFiles = false } = {}) {
+    const result = { ...exportData };
+    const fileKey = exportFileKey(result.export_key);
+    const sidecarKey = exportFileKey(result.sidecar_key);
+
+    // Local renders in /tmp do not survive a redeploy, those can only be exported again
+    if (fileKey && (!checkFiles || await fileStorage.exists(fileKey))) {
+        result.download_url = fileUrl(fileKey, true);
+    } else if (result.status === 'ready') {
+        result.expired = true;
+    }
+    if (sidecarKey && (!checkFiles || await fileStorage.exists(sidecarKey))) {
+        result.subtitles_url = fileUrl(sidecarKey, true);
+    }
+
+    if (result.status === 'processing' && result.started_at && result.progress >= 3 && result.progress < 100) {
+        const elapsed = result.elapsed_seconds != null
+            ? parseFloat(result.elapsed_seconds)
+            : (Date.now() - new Date(result.started_at).getTime()) / 1000;
+        result.eta_seconds = Math.round(elapsed * (100 - result.progress) / result.progress);
+    }
+    delete result.elapsed_seconds;
+
+    return result;
+}
+
+// ============================================
+// CLOUD EXPORT WORKER
+// ============================================
+
+const EXPORT_WORKER_POLL_MS = 10000;
+const EXPORT_HEARTBEAT_MS = 30000;
+// A processing job without a heartbeat for this long was interrupted (restart, crash)
+const EXPORT_STALE_AFTER = '2 minutes';
+
+let exportWorkerBusy = false;
+
+// Abort controllers of the exports rendering in this process, by export id
+const activeExports = new Map();
+const EXPORT_CANCELLED_MESSAGE = 'Export zrušen';
+
+function startExportWorker() {
+    setInterval(runExportWorker, EXPORT_WORKER_POLL_MS);
+    runExportWorker();
+}
+
+// Processes queued exports one at a time until the queue is empty
+async function runExportWorker() {
+    if (exportWorkerBusy) return;
+    exportWorkerBusy = true;
+
+    try {
+        await requeueStaleExports();
+
+        let job;
+        while ((job = await claimNextExport())) {
+            await processExportForCloud(job);
+        }
+    } catch (error) {
+        console.error('Export worker error:', error);
+    } finally {
+        exportWorkerBusy = false;
+    }
+}
+
+async function requeueStaleExports() {
+    const result = await pool.query(
+        `UPDATE exports SET status = 'queued', progress = 0, phase = NULL
+         WHERE status = 'processing'
+           AND COALESCE(heartbeat_at, started_at, created_at) < NOW() - INTERVAL '${EXPORT_STALE_AFTER}'
+         RETURNING id`
+    );
+    for (const row of result.rows) {
+        log(`🔁 Export ${row.id} was interrupted, re-queued`);
+    }
+}
+
+async function claimNextExport() {
+    const result = await pool.query(
+        `UPDATE exports
+         SET status = 'processing', progress = 0, phase = NULL, error_message = NULL,
+             started_at = NOW(), heartbeat_at = NOW()
+         WHERE id = (
+             SELECT id FROM exports
+             WHERE status = 'queued'
+             ORDER BY created_at
+             FOR UPDATE SKIP LOCKED
+             LIMIT 1
+         )
+         RETURNING *`
+    );
+    return result.rows[0] || null;
+}
+
+// Cloud export processing (Postgres + local /tmp files)
+async function processExportForCloud(job) {
+    const controller = new AbortController();
+    activeExports.set(job.id, controller);
+
+    // Both writes only touch a processing row, no row back means it was cancelled
+    const heartbeat = setInterval(() => {
+        pool.query(`UPDATE exports SET heartbeat_at = NOW() WHERE id = $1 AND status = 'processing'`, [job.id])
+            .then(result => { if (result.rowCount === 0) controller.abort(); })
+            .catch(err => console.error('Export heartbeat failed:', err));
+    }, EXPORT_HEARTBEAT_MS);
+
+    try {
+        log(`☁️ Cloud export started: ${job.id}`);
+
+        const videos = (await getProjectVideos(job.project_id))
+            .filter(video => video.included && video.processing_status === 'ready');
+        const cards = await getProjectCards(job.project_id);
+
+        const { filename, sidecarFilename, fileSize, duration } = await renderExport(
+            job, videos, cards, createProgressWriter(job.id, controller), controller.signal
+        );
+
+        const result = await pool.query(
+            `UPDATE exports
+             SET status = 'ready', progress = 100, phase = NULL, export_key = $1, sidecar_key = $2,
+                 file_size = $3, duration = $4, completed_at = NOW()
+             WHERE id = $5 AND status = 'processing'`,
+            [filename, sidecarFilename, fileSize, duration, job.id]
+        );
+        // Cancelled right as the render finished
+        if (result.rowCount === 0) {
+            await deleteStoredFiles([exportFileKey(filename), exportFileKey(sidecarFilename)]);
+        }
+
+        log(`✅ Cloud export completed: ${job.id}`);
+    } catch (error) {
+        if (controller.signal.aborted) {
+            log(`🛑 Cloud export stopped: ${job.id}`);
+            return;
+        }
+
+        log(`❌ Cloud export failed: ${job.id}: ${error.message}`, 'error');
+        try {
+            await pool.query(
+                `UPDATE exports SET status = 'failed', error_message = $1, completed_at = NOW() WHERE id = $2`,
+                [error.message, job.id]
+            );
+        } catch (dbError) {
+            console.error('Failed to update export status in DB:', dbError);
+        }
+    } finally {
+        clearInterval(heartbeat);
+        activeExports.delete(job.id);
+    }
+}
+
+// Progress callback for renderExport that writes to the exports row,
+// at most once per second unless the phase changes
+function createProgressWriter(exportId, controller) {
+    let last = { phase: null, progress: -1, at: 0 };
+
+    return ({ phase, progress }) => {
+        const now = Date.now();
+        if (phase === last.phase && (progress === last.progress || now - last.at < 1000)) return;
+        last = { phase, progress, at: now };
+
+        pool.query(
+            `UPDATE exports SET phase = $1, progress = $2, heartbeat_at = NOW()
+             WHERE id = $3 AND status = 'processing'`,
+            [phase, progress, exportId]
+        )
+            .then(result => { if (result.rowCount === 0) controller.abort(); })
+            .catch(err => console.error('Export progress update failed:', err));
+    };
+}
+
+// ============================================
+// EXPORT RENDERING
+// ============================================
+
+// Share of the overall progress bar taken by each render phase
+const EXPORT_PHASE_WEIGHTS = {
+    cutting: 0.85,
+    concatenating: 0.05,
+    encoding_audio: 0.10
+};
+
+// Output formats the export can be rendered to. Every clip is conformed to the
+// preset's resolution, frame rate and audio format before concatenation.
+const EXPORT_PRESETS = {
+    archive_4k: {
+        label: '4K archiv (H.265 10-bit, MOV)',
+        container: 'mov',
+        videoCodec: 'libx265',
+        pixFmt: 'yuv420p10le',
+        width: 3840,
+        height: 2160,
+        fps: 60,
+        crf: 16,
+        encoderPreset: 'slow',
+        audioCodec: 'pcm_s24le',
+        audioBitrate: null,
+        audioSampleRate: 48000,
+        audioChannels: 2
+    },
+    share_1080p: {
+        label: 'Full HD ke sdílení (H.264, MP4)',
+        container: 'mp4',
+        videoCodec: 'libx264',
+        pixFmt: 'yuv420p',
+        width: 1920,
+        height: 1080,
+        fps: 30,
+        crf: 20,
+        encoderPreset: 'medium',
+        audioCodec: 'aac',
+        audioBitrate: '192k',
+        audioSampleRate: 48000,
+        audioChannels: 2
+    },
+    mobile_hevc: {
+        label: 'Malý soubor pro mobil (H.265, 720p)',
+        container: 'mp4',
+        videoCodec: 'libx265',
+        pixFmt: 'yuv420p',
+        width: 1280,
+        height: 720,
+        fps: 30,
+        videoBitrate: '2500k',
+        maxBitrate: '3500k',
+        encoderPreset: 'medium',
+        audioCodec: 'aac',
+        audioBitrate: '96k',
+        audioSampleRate: 44100,
+        audioChannels: 2
+    }
+};
+
+const DEFAULT_EXPORT_PRESET = 'share_1080p';
+
+// Integrated loudness target in LUFS (null in export options = no normalization)
+const DEFAULT_LOUDNESS_TARGET = -16;
+const LOUDNESS_TRUE_PEAK = -1.5;
+const LOUDNESS_RANGE = 11;
+
+const TRANSITION_TYPES = ['cut', 'crossfade', 'dip_to_black', 'audio_crossfade'];
+const DEFAULT_TRANSITION_DURATION = 0.5;
+
+function getExportPreset(id) {
+    return EXPORT_PRESETS[Object.hasOwn(EXPORT_PRESETS, id) ? id : DEFAULT_EXPORT_PRESET];
+}
+
+// Output aspect modes as [width, height] ratio
+const EXPORT_ASPECTS = {
+    '16:9': [16, 9],
+    '9:16': [9, 16],
+    '1:1': [1, 1],
+    '4:5': [4, 5]
+};
+
+// The preset's short edge stays, the long edge follows the aspect mode
+// (1080p preset + 9:16 = 1080x1920, + 1:1 = 1080x1080)
+function getOutputSize(preset, aspect) {
+    const [ratioW, ratioH] = EXPORT_ASPECTS[Object.hasOwn(EXPORT_ASPECTS, aspect) ? aspect : '16:9'];
+    const shortEdge = Math.min(preset.width, preset.height);
+    const even = (n) => Math.round(n / 2) * 2;
+
+    if (ratioW >= ratioH) {
+        return { width: even(shortEdge * ratioW / ratioH), height: shortEdge };
+    }
+    return { width: shortEdge, height: even(shortEdge * ratioH / ratioW) };
+}
+
+// Scales any input (4K60, HEVC, 720p...) to the output frame. Landscape 16:9
+// output keeps the whole picture (pillarbox for portrait clips), social formats
+// fill the frame and crop horizontally around the mark's focus point.
+function buildConformFilter(preset, size, aspect, segment, overlays = []) {
+    return [
+        ...buildFrameFitFilters(size, aspect, segment),
+        'setsar=1', `fps=${preset.fps}`, ...overlays, `format=${preset.pixFmt}`
+    ].join(',');
+}
+
+function buildFrameFitFilters(size, aspect, segment) {
+    const { width, height } = size;
+
+    if (aspect === '16:9') {
+        return [
+            `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+            `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`
+        ];
+    }
+
+    const focus = segment.mark?.crop_x ?? 0.5;
+    return [
+        `scale=${width}:${height}:force_original_aspect_ratio=increase`,
+        `crop=${width}:${height}:(iw-${width})*${focus.toFixed(3)}:(ih-${height})/2`
+    ];
+}
+
+// ============================================
+// TEXT OVERLAYS
+// ============================================
+
+const OVERLAY_TYPES = ['caption', 'location', 'date'];
+const FONT_DIR = process.env.FONT_DIR || '/usr/share/fonts/truetype/dejavu';
+
+const OVERLAY_FONTS = {
+    sans: 'DejaVuSans.ttf',
+    'sans-bold': 'DejaVuSans-Bold.ttf',
+    serif: 'DejaVuSerif.ttf',
+    mono: 'DejaVuSansMono.ttf'
+};
+
+// drawtext x:y expressions, margin m is 5 % of the frame height
+const OVERLAY_POSITIONS = {
+    'top-left': ['m', 'm'],
+    'top': ['(w-text_w)/2', 'm'],
+    'top-right': ['w-text_w-m', 'm'],
+    'center': ['(w-text_w)/2', '(h-text_h)/2'],
+    'bottom-left': ['m', 'h-text_h-m'],
+    'bottom': ['(w-text_w)/2', 'h-text_h-m'],
+    'bottom-right': ['w-text_w-m', 'h-text_h-m']
+};
+
+const DEFAULT_OVERLAY_STYLE = { font: 'sans-bold', size: 5, position: 'bottom-left', fade: 0.5 };
+const DEFAULT_CARD_STYLE = { font: 'sans-bold', size: 8, position: 'center', fade: 0.8 };
+
+function formatOverlayDate(date) {
+    return date.toLocaleDateString('cs-CZ', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// Text shown over a mark, or null when the mark has no overlay
+function resolveOverlayText(segment) {
+    const mark = segment.mark;
+    if (!mark?.overlay_type) return null;
+
+    const text = mark.overlay_text?.trim();
+    if (text) return text;
+
+    if (mark.overlay_type === 'date') {
+        const date = getBestDate(segment.video);
+        return date ? formatOverlayDate(date) : null;
+    }
+    return null;
+}
+
+/**
+ * drawtext filter for a text overlay. The text is read from a file so that
+ * user input never has to be escaped for the filtergraph.
+ */
+function buildOverlayFilter(textPath, style, frameHeight, duration) {
+    const { font, size, position, fade } = style;
+    const [x, y] = OVERLAY_POSITIONS[position] || OVERLAY_POSITIONS.bottom;
+    const margin = Math.round(frameHeight * 0.05);
+    const fontSize = Math.round(frameHeight * size / 100);
+    const fadeTime = Math.min(fade, duration / 2);
+    const place = (expr) => expr.replace(/\bm\b/g, String(margin));
+
+    const params = [
+        `fontfile=${path.join(FONT_DIR, OVERLAY_FONTS[font] || OVERLAY_FONTS.sans)}`,
+        `textfile=${textPath}`,
+        `fontsize=${fontSize}`,
+        'fontcolor=white',
+        `shadowcolor=black@0.6:shadowx=${Math.max(1, Math.round(fontSize / 20))}:shadowy=${Math.max(1, Math.round(fontSize / 20))}`,
+        'line_spacing=8',
+        `x=${place(x)}`,
+        `y=${place(y)}`
+    ];
+
+    if (fadeTime > 0) {
+        const f = fadeTime.toFixed(3);
+        const end = duration.toFixed(3);
+        // Quoted, so the commas do not split the filter chain
+        params.push(`alpha='if(lt(t,${f}),t/${f},if(gt(t,${end}-${f}),(${end}-t)/${f},1))'`);
+    }
+
+    return `drawtext=${params.join(':')}`;
+}
+
+function buildVideoEncoderArgs(preset) {
+    const args = ['-c:v', preset.videoCodec, '-preset', preset.encoderPreset, '-pix_fmt', preset.pixFmt];
+
+    if (preset.videoBitrate) {
+        const maxBitrate = preset.maxBitrate || preset.videoBitrate;
+        args.push('-b:v', preset.videoBitrate, '-maxrate', maxBitrate, '-bufsize', `${parseInt(maxBitrate, 10) * 2}k`);
+    } else {
+        args.push('-crf', String(preset.crf));
+    }
+
+    if (preset.videoCodec === 'libx265') {
+        args.push('-x265-params', 'log-level=error');
+    }
+
+    return args;
+}
+
+function buildAudioEncoderArgs(preset) {
+    const args = ['-c:a', preset.audioCodec, '-ar', String(preset.audioSampleRate), '-ac', String(preset.audioChannels)];
+    if (preset.audioBitrate) args.push('-b:a', preset.audioBitrate);
+    return args;
+}
+
+// Marked ranges of a video in time order, or the whole clip when it has no marks
+function getClipRanges(video) {
+    const marks = (video.marks || [])
+        .filter(m => m.out_point > m.in_point)
+        .sort((a, b) => a.in_point - b.in_point);
+
+    if (marks.length > 0) {
+        return marks.map(mark => ({ mark, start: mark.in_point, duration: mark.out_point - mark.in_point }));
+    }
+    return video.duration > 0 ? [{ mark: null, start: 0, duration: video.duration }] : [];
+}
+
+// One segment per mark (in time order), or the whole clip when a video has no marks.
+// Title cards go before the clips, end cards after them. Audio files are
+// narration (buildNarrationCues), not segments.
+function buildExportSegments(videos, cards = []) {
+    const segments = [];
+    const cardSegments = (kind) => cards
+        .filter(card => card.kind === kind)
+        .map(card => ({ card, video: null, mark: null, start: 0, duration: card.duration }));
+
+    segments.push(...cardSegments('title'));
+
+    for (const video of videos) {
+        if (video.media_type === 'audio') continue;
+        segments.push(...getClipRanges(video).map(range => ({ video, ...range })));
+    }
+
+    segments.push(...cardSegments('end'));
+    return segments;
+}
+
+/**
+ * Narration: an audio file plays from the start of the first clip after it
+ * in the list (after the last clip when none follows), several in a row
+ * one after another. Marks pick the parts to play, as with videos.
+ */
+function buildNarrationCues(videos, entries) {
+    const order = new Map(videos.map((video, i) => [video.id, i]));
+    const clipEntries = entries.filter(entry => !entry.segment.card);
+    const cues = [];
+    let cursor = 0;
+
+    videos.forEach((video, index) => {
+        if (video.media_type !== 'audio' || video.muted) return;
+
+        const next = clipEntries.find(entry => order.get(entry.segment.video.id) > index);
+        const anchor = next ? next.start : clipEntries[clipEntries.length - 1]?.end || 0;
+        cursor = Math.max(anchor, cursor);
+        for (const range of getClipRanges(video)) {
+            cues.push({ video, start: range.start, duration: range.duration, at: cursor });
+            cursor += range.duration;
+        }
+    });
+
+    return cues;
+}
+
+// ============================================
+// HIGHLIGHT REEL
+// ============================================
+
+const HIGHLIGHT_MIN_TARGET = 10;
+const HIGHLIGHT_MAX_TARGET = 600;
+// Clip length limits in the reel; longer marks are trimmed around their middle
+const HIGHLIGHT_MIN_CLIP = 2;
+const HIGHLIGHT_MAX_CLIP = 6;
+// Unmarked videos: one automatic pick per this many seconds of footage (max 3),
+// skipping the shaky start and end of the recording
+const HIGHLIGHT_AUTO_EVERY = 30;
+const HIGHLIGHT_AUTO_MAX_PICKS = 3;
+const HIGHLIGHT_AUTO_MARGIN = 0.1;
+
+// Middle part of a range, at most maxLength long
+function centerWindow(start, duration, maxLength) {
+    const length = Math.min(duration, maxLength);
+    return { start: start + (duration - length) / 2, duration: length };
+}
+
+// Marks of every video plus evenly spaced picks from videos without marks
+function buildHighlightCandidates(videos) {
+    const candidates = [];
+
+    for (const video of videos) {
+        // Narration has no picture for a teaser
+        if (video.media_type === 'audio') continue;
+        const marks = (video.marks || []).filter(m => m.out_point - m.in_point >= HIGHLIGHT_MIN_CLIP);
+
+        if (marks.length > 0) {
+            for (const mark of marks) {
+                const window = centerWindow(mark.in_point, mark.out_point - mark.in_point, HIGHLIGHT_MAX_CLIP);
+                candidates.push({ video, mark, auto: false, ...window });
+            }
+        } else if (video.duration >= HIGHLIGHT_MIN_CLIP) {
+            const margin = video.duration >= HIGHLIGHT_MAX_CLIP * 2 ? video.duration * HIGHLIGHT_AUTO_MARGIN : 0;
+            const usable = video.duration - margin * 2;
+            const picks = Math.min(HIGHLIGHT_AUTO_MAX_PICKS, Math.max(1, Math.floor(video.duration / HIGHLIGHT_AUTO_EVERY)));
+            const slot = usable / picks;
+
+            for (let i = 0; i < picks; i++) {
+                const window = centerWindow(margin + slot * i, slot, HIGHLIGHT_MAX_CLIP);
+                candidates.push({ video, mark: null, auto: true, ...window });
+            }
+        }
+    }
+
+    const time = (c) => (getBestDate(c.video)?.getTime() ?? Number.MAX_SAFE_INTEGER) + c.start * 1000;
+    return candidates.sort((a, b) => time(a) - time(b));
+}
+
+/**
+ * Segments of a teaser close to targetDuration. Picks one candidate at a
+ * time, preferring the uploader, source and video used least so far, then
+ * hand-made marks over automatic picks, then the candidate furthest in time
+ * from what is already picked. The result plays in chronological order.
+ */
+function buildHighlightSegments(videos, cards, targetDuration, project) {
+    const candidates = buildHighlightCandidates(videos);
+    const cardSegments = buildExportSegments([], cards);
+
+    // Each boundary with a transition shortens the output by its overlap,
+    // so a clip costs its duration minus one overlap
+    const overlap = (project?.transition_type || 'cut') !== 'cut'
+        ? (project.transition_duration ?? DEFAULT_TRANSITION_DURATION)
+        : 0;
+
+    let remaining = targetDuration - overlap
+        - cardSegments.reduce((sum, s) => sum + s.duration - overlap, 0);
+    const usage = new Map();
+    const used = (key) => usage.get(key) || 0;
+    const keys = (c) => [`u:${c.video.uploaded_by || ''}`, `s:${c.video.source || ''}`, `v:${c.video.id}`];
+    const picked = new Set();
+    const compareScores = (a, b) => {
+        const i = a.findIndex((value, j) => value !== b[j]);
+        return i === -1 ? 0 : a[i] - b[i];
+    };
+
+    while (remaining + overlap >= HIGHLIGHT_MIN_CLIP && picked.size < candidates.length) {
+        let best = null;
+        let bestScore = null;
+
+        candidates.forEach((candidate, index) => {
+            if (picked.has(index)) return;
+
+            let gap = candidates.length;
+            for (const p of picked) gap = Math.min(gap, Math.abs(p - index));
+
+            const score = [...keys(candidate).map(used), candidate.auto ? 1 : 0, -gap];
+            if (!bestScore || compareScores(score, bestScore) < 0) {
+                best = index;
+                bestScore = score;
+            }
+        });
+
+        const candidate = candidates[best];
+        if (candidate.duration - overlap > remaining) {
+            Object.assign(candidate, centerWindow(candidate.start, candidate.duration, remaining + overlap));
+        }
+
+        picked.add(best);
+        keys(candidate).forEach(key => usage.set(key, used(key) + 1));
+        remaining -= candidate.duration - overlap;
+    }
+
+    const clips = [...picked].sort((a, b) => a - b).map(index => {
+        const { video, mark, start, duration } = candidates[index];
+        return { video, mark, start, duration };
+    });
+
+    return [
+        ...cardSegments.filter(s => s.card.kind === 'title'),
+        ...clips,
+        ...cardSegments.filter(s => s.card.kind === 'end')
+    ];
+}
+
+function sanitizeExportName(name) {
+    return (name || 'export')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-zA-Z0-9_-]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 100) || 'export';
+}
+
+// First loudnorm pass over the segment's audio, returns ffmpeg's measurement
+async function measureLoudness(segment, target, signal) {
+    const stderr = await runFfmpeg([
+        '-ss', segment.start.toFixed(3),
+        ...segment.video.input_args,
+        '-t', segment.duration.toFixed(3),
+        '-map', '0:a:0', '-vn',
+        '-af', `loudnorm=I=${target}:TP=${LOUDNESS_TRUE_PEAK}:LRA=${LOUDNESS_RANGE}:print_format=json`,
+        '-f', 'null', '-'
+    ], { signal });
+
+    const json = stderr.slice(stderr.lastIndexOf('{'), stderr.lastIndexOf('}') + 1);
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Audio filter for a segment: measured (linear) loudness normalization and the video's volume
+async function buildSegmentAudioFilter(segment, preset, loudnessTarget, signal) {
+    const filters = [];
+
+    if (loudnessTarget != null) {
+        const measured = await measureLoudness(segment, loudnessTarget, signal);
+        const inputLoudness = parseFloat(measured?.input_i);
+
+        // Digital silence cannot be normalized
+        if (measured && isFinite(inputLoudness) && inputLoudness > -70) {
+            filters.push(
+                `loudnorm=I=${loudnessTarget}:TP=${LOUDNESS_TRUE_PEAK}:LRA=${LOUDNESS_RANGE}` +
+                `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+                `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+                `:offset=${measured.target_offset}:linear=true`
+            );
+        }
+    }
+
+    const volume = segment.video.volume ?? 1;
+    if (volume !== 1) filters.push(`volume=${volume}`);
+
+    // loudnorm resamples internally to 192 kHz
+    filters.push(`aresample=${preset.audioSampleRate}`);
+    return filters.join(',');
+}
+
+/**
+ * Mixes the project soundtrack under the edit's audio. The track starts at
+ * music_offset, fades in/out over the whole edit and, with ducking enabled,
+ * is compressed by the clip audio (sidechain) whenever people talk.
+ */
+function buildMusicGraph(project, editLabel, musicInput, duration, preset) {
+    const format = buildAudioFormatFilter(preset);
+    const fadeIn = Math.min(project.music_fade_in ?? 0, duration / 2);
+    const fadeOut = Math.min(project.music_fade_out ?? 0, duration / 2);
+
+    const musicChain = [
+        `atrim=duration=${duration.toFixed(3)}`,
+        'asetpts=PTS-STARTPTS',
+        format,
+        `volume=${project.music_volume ?? MUSIC_DEFAULTS.music_volume}`
+    ];
+    if (fadeIn > 0) musicChain.push(`afade=t=in:st=0:d=${fadeIn.toFixed(3)}`);
+    if (fadeOut > 0) musicChain.push(`afade=t=out:st=${(duration - fadeOut).toFixed(3)}:d=${fadeOut.toFixed(3)}`);
+
+    const filters = [`[${musicInput}:a]${musicChain.join(',')}[music]`];
+
+    if (project.music_ducking !== false) {
+        filters.push(
+            `[${editLabel}]${format},asplit=2[edit][sidechain]`,
+            '[music][sidechain]sidechaincompress=threshold=0.02:ratio=8:attack=20:release=400[ducked]',
+            '[edit][ducked]amix=inputs=2:duration=first:normalize=0[mixed]'
+        );
+    } else {
+        filters.push(
+            `[${editLabel}]${format}[edit]`,
+            '[edit][music]amix=inputs=2:duration=first:normalize=0[mixed]'
+        );
+    }
+
+    return { graph: filters.join(';'), output: 'mixed' };
+}
+
+function buildAudioFormatFilter(preset) {
+    return `aformat=sample_rates=${preset.audioSampleRate}:channel_layouts=${preset.audioChannels === 1 ? 'mono' : 'stereo'}`;
+}
+
+/**
+ * Mixes narration over the edit (clip sound and music), which is
+ * compressed by the voice (sidechain) while someone narrates. Cue inputs
+ * are already cut to their part and start at firstInput.
+ */
+function buildNarrationGraph(cues, bedLabel, firstInput, preset) {
+    const format = buildAudioFormatFilter(preset);
+    const filters = cues.map((cue, i) => {
+        const delay = Math.round(cue.at * 1000);
+        return `[${firstInput + i}:a]${format},volume=${cue.video.volume ?? 1},adelay=${delay}:all=1[n${i}]`;
+    });
+
+    const voices = cues.map((_, i) => `[n${i}]`).join('');
+    filters.push(
+        cues.length > 1
+            ? `${voices}amix=inputs=${cues.length}:duration=longest:normalize=0,asplit=2[voice][key]`
+            : '[n0]asplit=2[voice][key]',
+        `[${bedLabel}]${format}[bed]`,
+        // The key runs on in silence, the bed must not end with the last voice
+        '[key]apad[keypad]',
+        '[bed][keypad]sidechaincompress=threshold=0.02:ratio=6:attack=20:release=600[ducked]',
+        '[ducked][voice]amix=inputs=2:duration=first:normalize=0[narrated]'
+    );
+
+    return { graph: filters.join(';'), output: 'narrated' };
+}
+
+// Cuts one mark (or whole clip) from its original file, conformed to the output frame
+async function cutClipPart(segment, partPath, context, onProgress) {
+    const { preset, size, aspect, options, sourceMetadata, signal } = context;
+
+    if (!sourceMetadata.has(segment.video.id)) {
+        sourceMetadata.set(segment.video.id, await getVideoMetadata(segment.video.original_path));
+    }
+    const hasAudio = sourceMetadata.get(segment.video.id)?.hasAudio !== false;
+
+    // Every part gets an audio track so concat and crossfades line up;
+    // drones without a microphone and muted videos get silence
+    let silenceInput = [];
+    let audioOutput;
+    if (hasAudio && !segment.video.muted) {
+        audioOutput = ['-map', '0:a:0', '-af', await buildSegmentAudioFilter(segment, preset, options.loudness, signal)];
+    } else {
+        silenceInput = [
+            '-f', 'lavfi', '-t', segment.duration.toFixed(3),
+            '-i', `anullsrc=r=${preset.audioSampleRate}:cl=stereo`
+        ];
+        audioOutput = ['-map', '1:a:0'];
+    }
+
+    await runFfmpeg([
+        '-ss', segment.start.toFixed(3),
+        ...segment.video.input_args,
+        ...silenceInput,
+        '-t', segment.duration.toFixed(3),
+        '-map', '0:v:0',
+        ...audioOutput,
+        '-vf', buildConformFilter(preset, size, aspect, segment, buildSegmentOverlays(segment, partPath, size)),
+        ...buildVideoEncoderArgs(preset),
+        '-c:a', 'pcm_s16le', '-ar', String(preset.audioSampleRate), '-ac', String(preset.audioChannels),
+        partPath
+    ], { onProgress, signal });
+}
+
+// drawtext of the mark's overlay, the text goes to a file next to the part
+function buildSegmentOverlays(segment, partPath, size) {
+    const overlayText = resolveOverlayText(segment);
+    if (!overlayText) return [];
+
+    const textPath = partPath.replace(/\.mkv$/, '.txt');
+    fs.writeFileSync(textPath, overlayText);
+    const style = { ...DEFAULT_OVERLAY_STYLE, ...(segment.mark.overlay_style || {}) };
+    return [buildOverlayFilter(textPath, style, size.height, segment.duration)];
+}
+
+// Ken Burns: zoom over the clip, in or out by photo
+const KEN_BURNS_ZOOM = 0.15;
+
+// Still clip from a photo with silent audio, slowly zooming when Ken Burns is on
+async function renderPhotoPart(segment, partPath, context, onProgress) {
+    const { preset, size, aspect, signal } = context;
+    const { video } = segment;
+    const duration = segment.duration.toFixed(3);
+    const overlays = buildSegmentOverlays(segment, partPath, size);
+
+    let input;
+    let filter;
+    if (video.ken_burns !== false) {
+        const frames = Math.max(1, Math.round(segment.duration * preset.fps));
+        const zoom = parseInt(video.id[0], 16) % 2 === 0
+            ? `1+${KEN_BURNS_ZOOM}*on/${frames}`
+            : `${1 + KEN_BURNS_ZOOM}-${KEN_BURNS_ZOOM}*on/${frames}`;
+        // zoompan moves in whole pixels, on a 2x frame the motion stays smooth
+        const large = { width: size.width * 2, height: size.height * 2 };
+        input = ['-noautorotate', '-i', video.original_path];
+        filter = [
+            ...video.photo_filters,
+            ...buildFrameFitFilters(large, aspect, segment),
+            `zoompan=z='${zoom}':x='(iw-iw/zoom)/2':y='(ih-ih/zoom)/2':d=${frames}:s=${size.width}x${size.height}:fps=${preset.fps}`,
+            'setsar=1', ...overlays, `format=${preset.pixFmt}`
+        ].join(',');
+    } else {
+        input = ['-noautorotate', '-loop', '1', '-framerate', String(preset.fps), '-t', duration, '-i', video.original_path];
+        filter = [...video.photo_filters, buildConformFilter(preset, size, aspect, segment, overlays)].join(',');
+    }
+
+    await runFfmpeg([
+        ...input,
+        '-f', 'lavfi', '-t', duration, '-i', `anullsrc=r=${preset.audioSampleRate}:cl=stereo`,
+        '-map', '0:v:0', '-map', '1:a:0',
+        '-vf', filter,
+        ...buildVideoEncoderArgs(preset),
+        '-c:a', 'pcm_s16le', '-ar', String(preset.audioSampleRate), '-ac', String(preset.audioChannels),
+        '-t', duration,
+        partPath
+    ], { onProgress, signal });
+}
+
+// Renders a title/end card: text on black with silent audio
+async function renderCardPart(segment, partPath, context, onProgress) {
+    const { preset, size, signal } = context;
+    const duration = segment.duration.toFixed(3);
+
+    const textPath = partPath.replace(/\.mkv$/, '.txt');
+    fs.writeFileSync(textPath, segment.card.text);
+    const style = { ...DEFAULT_CARD_STYLE, ...(segment.card.style || {}) };
+
+    await runFfmpeg([
+        '-f', 'lavfi', '-i', `color=c=black:s=${size.width}x${size.height}:r=${preset.fps}:d=${duration}`,
+        '-f', 'lavfi', '-t', duration, '-i', `anullsrc=r=${preset.audioSampleRate}:cl=stereo`,
+        '-map', '0:v:0', '-map', '1:a:0',
+        '-vf', [
+            buildOverlayFilter(textPath, style, size.height, segment.duration),
+            'setsar=1',
+            `format=${preset.pixFmt}`
+        ].join(','),
+        ...buildVideoEncoderArgs(preset),
+        '-c:a', 'pcm_s16le', '-ar', String(preset.audioSampleRate), '-ac', String(preset.audioChannels),
+        '-t', duration,
+        partPath
+    ], { onProgress, signal });
+}
+
+// Maps per-phase output time to an overall 0-99 percentage
+function createPhaseProgress(plannedDuration, onProgress) {
+    const phases = Object.keys(EXPORT_PHASE_WEIGHTS);
+    let lastProgress = -1;
+
+    return (phase, seconds, phaseDuration = plannedDuration) => {
+        const base = phases.slice(0, phases.indexOf(phase))
+            .reduce((sum, p) => sum + EXPORT_PHASE_WEIGHTS[p], 0);
+        const fraction = Math.min(1, Math.max(0, seconds / phaseDuration));
+        // 100 is reserved for the finished export
+        const progress = Math.min(99, Math.floor((base + EXPORT_PHASE_WEIGHTS[phase] * fraction) * 100));
+
+        if (progress < lastProgress) return;
+        lastProgress = progress;
+        if (onProgress) onProgress({ phase, progress });
+    };
+}
+
+/**
+ * Transition at each boundary between consecutive parts. The outgoing mark
+ * may override the project's default type and duration; the overlap is
+ * limited to half of the shorter neighbouring part.
+ */
+function resolveTransitions(segments, parts, project) {
+    const boundaries = [];
+    for (let i = 0; i < parts.length - 1; i++) {
+        const mark = segments[i].mark;
+        const type = mark?.transition_type || project?.transition_type || 'cut';
+        const requested = mark?.transition_duration ?? project?.transition_duration ?? DEFAULT_TRANSITION_DURATION;
+        const limit = Math.min(parts[i].duration, parts[i + 1].duration) / 2;
+        const duration = type === 'cut' ? 0 : Math.max(0, Math.min(requested, limit));
+
+        boundaries.push({ type: duration > 0 ? type : 'cut', duration });
+    }
+    return boundaries;
+}
+
+function getTransitionOverlap(boundaries) {
+    return boundaries.reduce((sum, b) => sum + b.duration, 0);
+}
+
+function writeConcatList(workDir, parts, name = 'concat.txt') {
+    const listPath = path.join(workDir, name);
+    fs.writeFileSync(listPath, parts.map(p => `file '${p.path.replace(/'/g, "'\\''")}'`).join('\n'));
+    return listPath;
+}
+
+// Chains the parts' video with xfade (crossfade, dip to black) or concat
+function buildVideoTransitionGraph(parts, boundaries) {
+    const filters = parts.map((part, i) => `[${i}:v]settb=AVTB,setpts=PTS-STARTPTS[v${i}]`);
+    let current = 'v0';
+    let length = parts[0].duration;
+
+    for (let i = 1; i < parts.length; i++) {
+        const { type, duration } = boundaries[i - 1];
+        const next = `vx${i}`;
+
+        if (type === 'crossfade' || type === 'dip_to_black') {
+            const transition = type === 'crossfade' ? 'fade' : 'fadeblack';
+            filters.push(`[${current}][v${i}]xfade=transition=${transition}:duration=${duration.toFixed(3)}:offset=${(length - duration).toFixed(3)}[${next}]`);
+        } else if (type === 'audio_crossfade') {
+            // Hard video cut, the picture is shortened by the audio overlap
+            filters.push(`[${current}]trim=duration=${(length - duration).toFixed(3)},setpts=PTS-STARTPTS[vt${i}]`);
+            filters.push(`[vt${i}][v${i}]concat=n=2:v=1:a=0[${next}]`);
+        } else {
+            filters.push(`[${current}][v${i}]concat=n=2:v=1:a=0[${next}]`);
+        }
+
+        length += parts[i].duration - duration;
+        current = next;
+    }
+
+    return { graph: filters.join(';'), output: current };
+}
+
+// Audio counterpart: every non-cut boundary overlaps the audio with acrossfade.
+// inputOffset is the index of the first part among the ffmpeg inputs.
+function buildAudioTransitionGraph(parts, boundaries, inputOffset) {
+    const filters = parts.map((part, i) => `[${i + inputOffset}:a]asetpts=PTS-STARTPTS[a${i}]`);
+    let current = 'a0';
+
+    for (let i = 1; i < parts.length; i++) {
+        const { type, duration } = boundaries[i - 1];
+        const next = `ax${i}`;
+
+        if (type === 'cut') {
+            filters.push(`[${current}][a${i}]concat=n=2:v=0:a=1[${next}]`);
+        } else {
+            filters.push(`[${current}][a${i}]acrossfade=d=${duration.toFixed(3)}[${next}]`);
+        }
+        current = next;
+    }
+
+    return { graph: filters.join(';'), output: current };
+}
+
+/**
+ * Cuts every segment from the original files, conforms it to the preset's
+ * resolution/frame rate and joins the parts into one file in exportDir.
+ * Audio is kept as PCM in the parts and encoded once in the last phase so
+ * there are no gaps at segment joins. Without transitions the video is
+ * stream-copied on concat, otherwise it is re-encoded through xfade.
+ */
+async function renderExport(exportData, videos, cards, onProgress, signal) {
+    const exportId = exportData.id;
+    const preset = getExportPreset(exportData.preset);
+    const options = exportData.options || {};
+    const aspect = options.aspect || '16:9';
+    const size = getOutputSize(preset, aspect);
+    const project = await getProject(exportData.project_id);
+    const segments = options.highlightTarget
+        ? buildHighlightSegments(videos, cards, options.highlightTarget, project)
+        : buildExportSegments(videos, cards);
+    if (segments.length === 0) {
+        throw new Error('Žádná videa k exportu');
+    }
+
+    const plannedDuration = segments.reduce((sum, s) => sum + s.duration, 0);
+    const reportProgress = createPhaseProgress(plannedDuration, onProgress);
+
+    const basename = `${sanitizeExportName(exportData.name)}-${exportId.slice(0, 8)}`;
+    const filename = `${basename}.${preset.container}`;
+    const outputPath = path.join(exportDir, filename);
+    const sidecarFilename = options.subtitles ? `${basename}.${options.subtitles}` : null;
+    const workDir = path.join(exportDir, `.work-${exportId}`);
+    fs.mkdirSync(workDir, { recursive: true });
+    // Originals kept in the storage cache until the export is done
+    const held = [];
+
+    log(`🎞️ Export ${exportId}: ${segments.length} segments (${plannedDuration.toFixed(1)}s, ${size.width}x${size.height}) -> ${filename}`);
+
+    try {
+        // ffmpeg reads local copies of the stored originals
+        const localVideos = new Map();
+        for (const segment of segments) {
+            if (!segment.video) continue;
+            if (!localVideos.has(segment.video.id)) {
+                localVideos.set(segment.video.id, await localizeVideo(segment.video, workDir, held));
+            }
+            segment.video = localVideos.get(segment.video.id);
+        }
+
+        reportProgress('cutting', 0);
+
+        const parts = [];
+        const context = { preset, size, aspect, options, workDir, sourceMetadata: new Map(), signal };
+        let cutSeconds = 0;
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            const partPath = path.join(workDir, `part-${String(i).padStart(4, '0')}.mkv`);
+            const onPartProgress = (t) => reportProgress('cutting', cutSeconds + Math.min(t, segment.duration));
+
+            if (segment.card) {
+                await renderCardPart(segment, partPath, context, onPartProgress);
+            } else if (segment.video.media_type === 'photo') {
+                await renderPhotoPart(segment, partPath, context, onPartProgress);
+            } else {
+                await cutClipPart(segment, partPath, context, onPartProgress);
+            }
+
+            cutSeconds += segment.duration;
+
+            // Real length of the part, xfade offsets must not point past its end
+            const partMetadata = await getVideoMetadata(partPath);
+            parts.push({ path: partPath, duration: partMetadata?.duration || segment.duration });
+        }
+
+        const boundaries = resolveTransitions(segments, parts, project);
+        const hasTransitions = boundaries.some(b => b.type !== 'cut');
+        const outputDuration = parts.reduce((sum, p) => sum + p.duration, 0) - getTransitionOverlap(boundaries);
+        const listPath = writeConcatList(workDir, parts);
+
+        // hvc1 tag makes HEVC playable in QuickTime/iOS
+        const videoTag = preset.videoCodec === 'libx265' ? ['-tag:v', 'hvc1'] : [];
+
+        const videoPath = path.join(workDir, `video.${preset.container}`);
+        if (hasTransitions) {
+            const { graph, output } = buildVideoTransitionGraph(parts, boundaries);
+            await runFfmpeg([
+                ...parts.flatMap(p => ['-i', p.path]),
+                '-filter_complex', graph,
+                '-map', `[${output}]`,
+                ...buildVideoEncoderArgs(preset), ...videoTag,
+                videoPath
+            ], { onProgress: (t) => reportProgress('concatenating', t, outputDuration), signal });
+        } else {
+            await runFfmpeg([
+                '-f', 'concat', '-safe', '0', '-i', listPath,
+                '-map', '0:v:0', '-c:v', 'copy', ...videoTag,
+                videoPath
+            ], { onProgress: (t) => reportProgress('concatenating', t, outputDuration), signal });
+        }
+
+        // Input 0 is the joined video, the edit's audio comes from the parts
+        let audioInputs;
+        const audioGraph = [];
+        let audioLabel;
+        if (hasTransitions) {
+            const { graph, output } = buildAudioTransitionGraph(parts, boundaries, 1);
+            audioInputs = parts.flatMap(p => ['-i', p.path]);
+            audioGraph.push(graph);
+            audioLabel = output;
+        } else {
+            audioInputs = ['-f', 'concat', '-safe', '0', '-i', listPath];
+            audioLabel = '1:a';
+        }
+
+        const entries = buildTimelineEntries(segments, parts, boundaries);
+
+        const musicPath = project ? await getMusicPath(project) : null;
+        if (musicPath) {
+            const musicInput = 1 + (hasTransitions ? parts.length : 1);
+            audioInputs.push(
+                '-stream_loop', '-1',
+                '-ss', String(project.music_offset || 0),
+                '-i', musicPath
+            );
+            const { graph, output } = buildMusicGraph(project, audioLabel, musicInput, outputDuration, preset);
+            audioGraph.push(graph);
+            audioLabel = output;
+        }
+
+        // A teaser has no place for narration
+        const narration = options.highlightTarget ? [] : buildNarrationCues(videos, entries);
+        if (narration.length > 0) {
+            const firstInput = 1 + audioInputs.filter(arg => arg === '-i').length;
+            for (const cue of narration) {
+                const narrationPath = await getOriginalPath(cue.video, held);
+                if (!narrationPath) {
+                    throw new Error(`Originál nahrávky ${cue.video.original_filename} nenalezen`);
+                }
+                audioInputs.push('-ss', cue.start.toFixed(3), '-t', cue.duration.toFixed(3), '-i', narrationPath);
+            }
+            const { graph, output } = buildNarrationGraph(narration, audioLabel, firstInput, preset);
+            audioGraph.push(graph);
+            audioLabel = output;
+        }
+
+        const audioMapping = audioGraph.length > 0
+            ? ['-filter_complex', audioGraph.join(';'), '-map', '0:v:0', '-map', `[${audioLabel}]`]
+            : ['-map', '0:v:0', '-map', '1:a:0'];
+
+        // Chapters come in as an FFMETADATA input after the audio inputs
+        const chapterArgs = [];
+        const chapters = buildChapters(entries, options.chapters, options.chapterTitle);
+        if (chapters.length > 0) {
+            const metadataPath = path.join(workDir, 'chapters.txt');
+            fs.writeFileSync(metadataPath, buildChapterMetadata(chapters));
+            const metadataInput = 1 + audioInputs.filter(arg => arg === '-i').length;
+            chapterArgs.push('-f', 'ffmetadata', '-i', metadataPath, '-map_chapters', String(metadataInput));
+        }
+
+        await runFfmpeg([
+            '-i', videoPath,
+            ...audioInputs,
+            ...chapterArgs,
+            ...audioMapping,
+            '-c:v', 'copy', ...videoTag,
+            ...buildAudioEncoderArgs(preset),
+            '-movflags', '+faststart',
+            outputPath
+        ], { onProgress: (t) => reportProgress('encoding_audio', t, outputDuration), signal });
+
+        const fileSize = fs.statSync(outputPath).size;
+        await fileStorage.put(exportFileKey(filename), outputPath, `video/${preset.container}`);
+        if (sidecarFilename) {
+            const sidecarPath = path.join(exportDir, sidecarFilename);
+            fs.writeFileSync(sidecarPath, buildSidecarSubtitles(entries, options.subtitles));
+            await fileStorage.put(exportFileKey(sidecarFilename), sidecarPath, 'text/plain; charset=utf-8');
+        }
+
+        return { filename, sidecarFilename, fileSize, duration: outputDuration };
+    } catch (error) {
+        fs.rmSync(outputPath, { force: true });
+        if (sidecarFilename) fs.rmSync(path.join(exportDir, sidecarFilename), { force: true });
+        await deleteStoredFiles([exportFileKey(filename), exportFileKey(sidecarFilename)]);
+        throw error;
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+        await Promise.all(held.map(key => fileStorage.release(key)));
+    }
+}
+
+// ============================================
+// CHAPTERS AND SIDECAR SUBTITLES
+// ============================================
+
+// 'marks' = chapter per segment, 'videos' = consecutive segments of one video merged
+const CHAPTER_MODES = ['none', 'marks', 'videos'];
+const CHAPTER_TITLES = ['filename', 'date', 'label'];
+const SIDECAR_FORMATS = ['vtt', 'srt'];
+
+/**
+ * Position of every segment in the rendered output. Neighbours overlap by
+ * the transition, the switch is placed in the middle of it.
+ */
+function buildTimelineEntries(segments, parts, boundaries) {
+    const entries = [];
+    let partStart = 0;
+
+    for (let i = 0; i < parts.length; i++) {
+        const incoming = i > 0 ? boundaries[i - 1].duration : 0;
+        const outgoing = i < boundaries.length ? boundaries[i].duration : 0;
+        entries.push({
+            segment: segments[i],
+            start: partStart + incoming / 2,
+            end: partStart + parts[i].duration - outgoing / 2
+        });
+        partStart += parts[i].duration - outgoing;
+    }
+
+    return entries;
+}
+
+// Falls back to the filename when the chosen source is empty
+function resolveChapterTitle(segment, titleMode) {
+    if (segment.card) return segment.card.text.split('\n')[0].trim();
+
+    const { video, mark } = segment;
+    if (titleMode === 'label') {
+        const label = mark?.label?.trim() || (mark?.overlay_type === 'caption' ? mark.overlay_text?.trim() : null);
+        if (label) return label;
+    }
+    if (titleMode === 'date') {
+        const date = getBestDate(video);
+        if (date) return formatOverlayDate(date);
+    }
+    return video.original_filename;
+}
+
+function buildChapters(entries, mode, titleMode) {
+    if (!mode || mode === 'none') return [];
+
+    const chapters = [];
+    for (const { segment, start, end } of entries) {
+        const previous = chapters[chapters.length - 1];
+        if (mode === 'videos' && previous && !segment.card && previous.videoId === segment.video.id) {
+            previous.end = end;
+            continue;
+        }
+        chapters.push({
+            videoId: segment.video?.id || null,
+            title: resolveChapterTitle(segment, titleMode),
+            start,
+            end
+        });
+    }
+    return chapters;
+}
+
+// FFMETADATA escapes '=', ';', '#', '\' and newlines with a backslash
+function buildChapterMetadata(chapters) {
+    const escape = (text) => String(text).replace(/[=;#\\\n]/g, (c) => '\\' + c);
+    const lines = [';FFMETADATA1'];
+
+    for (const chapter of chapters) {
+        lines.push(
+            '[CHAPTER]',
+            'TIMEBASE=1/1000',
+            `START=${Math.round(chapter.start * 1000)}`,
+            `END=${Math.round(chapter.end * 1000)}`,
+            `title=${escape(chapter.title)}`
+        );
+    }
+    return lines.join('\n') + '\n';
+}
+
+function formatSubtitleTime(seconds, format) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    const time = `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}`;
+    return `${time}${format === 'srt' ? ',' : '.'}${pad(ms % 1000, 3)}`;
+}
+
+// One cue per segment tracing the shot back to its upload
+function buildSidecarSubtitles(entries, format) {
+    const cues = entries.filter(entry => !entry.segment.card).map(({ segment, start, end }, i) => {
+        const { video } = segment;
+        const date = getBestDate(video);
+        const details = [
+            `${formatSubtitleTime(segment.start, format).slice(0, 8)} – ${formatSubtitleTime(segment.start + segment.duration, format).slice(0, 8)}`,
+            date ? formatOverlayDate(date) : null,
+            video.uploaded_by ? `od ${video.uploaded_by}` : null
+        ].filter(Boolean);
+
+        return [
+            format === 'srt' ? String(i + 1) : null,
+            `${formatSubtitleTime(start, format)} --> ${formatSubtitleTime(end, format)}`,
+            video.original_filename,
+            details.join(' • ')
+        ].filter(line => line !== null).join('\n');
+    });
+
+    const header = format === 'vtt' ? 'WEBVTT\n\n' : '';
+    return header + cues.join('\n\n') + '\n';
+}
+
+// ============================================
+// TIMELINE EXPORT (EDL / FCPXML / OTIO)
+// ============================================
+
+const TIMELINE_FORMATS = {
+    edl: { extension: 'edl', contentType: 'text/plain; charset=utf-8' },
+    fcpxml: { extension: 'fcpxml', contentType: 'application/xml; charset=utf-8' },
+    otio: { extension: 'otio', contentType: 'application/json; charset=utf-8' }
+};
 
-        // Generate proxy
-        await generateProxy(filePath, proxyPath);
+const DEFAULT_TIMELINE_FPS = 25;
 
-        // Generate thumbnail
-        await generateThumbnail(filePath, thumbPath);
+// Frame duration as a rational, NTSC rates use the 1001 denominators
+function fpsToRational(fps) {
+    const ntsc = { 23.976: 24000, 29.97: 30000, 47.952: 48000, 59.94: 60000, 119.88: 120000 };
+    const rounded = Math.round(fps * 1000) / 1000;
+    for (const [rate, den] of Object.entries(ntsc)) {
+        if (Math.abs(rounded - parseFloat(rate)) < 0.01) return { num: 1001, den };
+    }
+    return { num: 1, den: Math.round(fps) };
+}
 
-        const proxyUrl = `/proxies/${proxyFilename}`;
-        const thumbnailUrl = `/thumbnails/${thumbnailFilename}`;
+// Non-drop-frame timecode counted with the rounded frame rate
+function framesToTimecode(frames, fps) {
+    const base = Math.round(fps);
+    const pad = (n) => String(n).padStart(2, '0');
+    const f = frames % base;
+    const totalSeconds = Math.floor(frames / base);
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}:${pad(f)}`;
+}
 
-        // Update DB
-        await pool.query(
-            `UPDATE videos 
-             SET processing_status = $1, proxy_url = $2, thumbnail_url = $3 
-             WHERE id = $4`,
-            ['ready', proxyUrl, thumbnailUrl, videoId]
-        );
+function timecodeToFrames(timecode, fps) {
+    const match = String(timecode || '').match(/^(\d+):(\d+):(\d+)[:;.](\d+)$/);
+    if (!match) return 0;
+    const [, h, m, s, f] = match.map(Number);
+    return ((h * 60 + m) * 60 + s) * Math.round(fps) + f;
+}
 
-        console.log(`✅ Cloud processing complete: ${videoId}`);
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
-    } catch (error) {
-        console.error(`❌ Cloud processing failed for ${videoId}:`, error);
+/**
+ * Ordered clips of the edit in frames: source in/out counted in the clip's
+ * own frame rate from its embedded start timecode, record position in the
+ * sequence frame rate.
+ */
+async function buildTimelineClips(videos, cards) {
+    // Editors get the chapter files, a mark over a chapter boundary becomes two clips
+    const segments = buildExportSegments(videos, cards)
+        .filter(segment => !segment.card)
+        .flatMap(splitAcrossChapters);
 
-        // Update DB with error
-        try {
-            await pool.query(
-                `UPDATE videos SET processing_status = $1 WHERE id = $2`,
-                ['failed', videoId]
-            );
-        } catch (dbError) {
-            console.error('Failed to update error status in DB:', dbError);
+    // Older uploads have no stored frame rate, probe them once
+    for (const video of new Set(segments.map(segment => segment.video))) {
+        const originalPath = video.fps ? null : await getOriginalPath(video);
+        if (originalPath) {
+            const metadata = await getVideoMetadata(originalPath);
+            video.fps = metadata?.fps || null;
+            video.source_timecode = video.source_timecode || metadata?.timecode || null;
         }
     }
-}
 
-// Delete video
-app.delete('/api/videos/:id', async (req, res) => {
-    try {
-        if (IS_LOCAL_MODE) {
-            const video = localStore.videos.get(req.params.id);
-            if (video) {
-                // Delete files
-                if (video.original_path && fs.existsSync(video.original_path)) {
-                    fs.unlinkSync(video.original_path);
-                }
-                localStore.videos.delete(req.params.id);
-            }
-        } else {
-            // Cloud mode - DB delete
-            // Get video path first to delete files
-            const result = await pool.query('SELECT original_path FROM videos WHERE id = $1', [req.params.id]);
-            if (result.rows.length > 0) {
-                const video = result.rows[0];
-                if (video.original_path && fs.existsSync(video.original_path)) {
-                    try { fs.unlinkSync(video.original_path); } catch (e) { console.error('Failed to delete original file', e); }
-                }
-            }
-            // Delete from DB
-            await pool.query('DELETE FROM videos WHERE id = $1', [req.params.id]);
-        }
+    const sequenceFps = segments[0]?.video.fps || DEFAULT_TIMELINE_FPS;
+    let recordFrame = 0;
 
-        res.json({ success: true });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
+    const clips = segments.map(segment => {
+        const { video } = segment;
+        const fps = video.fps || sequenceFps;
+        const startFrame = timecodeToFrames(video.source_timecode, fps);
+        const sourceIn = startFrame + Math.round(segment.start * fps);
+        const sourceOut = startFrame + Math.round((segment.start + segment.duration) * fps);
+        const recordLength = Math.round(segment.duration * sequenceFps);
 
-// ============================================
-// MARKS ROUTES
-// ============================================
+        const clip = {
+            video,
+            name: video.original_filename,
+            fps,
+            fileStartFrame: startFrame,
+            fileFrames: Math.round((video.duration || 0) * fps),
+            sourceIn,
+            sourceOut,
+            recordIn: recordFrame,
+            recordOut: recordFrame + recordLength
+        };
+        recordFrame += recordLength;
+        return clip;
+    });
 
-// Add mark
-app.post('/api/videos/:videoId/marks', async (req, res) => {
-    try {
-        const { in_point, out_point } = req.body;
+    return { clips, sequenceFps, totalFrames: recordFrame };
+}
 
-        const mark = {
-            id: uuidv4(),
-            video_id: req.params.videoId,
-            in_point,
-            out_point,
-            created_at: new Date().toISOString()
-        };
+// CMX 3600, record timecode starts at 01:00:00:00. An EDL has one frame
+// rate, source timecodes of clips shot at another one are converted to it.
+function buildEdl(project, { clips, sequenceFps }) {
+    const recordStart = Math.round(sequenceFps) * 3600;
+    const lines = [`TITLE: ${project.name}`, 'FCM: NON-DROP FRAME', ''];
 
-        if (IS_LOCAL_MODE) {
-            localStore.marks.set(mark.id, mark);
-            // Update video's marks array
-            const video = localStore.videos.get(req.params.videoId);
-            if (video) {
-                if (!video.marks) video.marks = [];
-                video.marks.push(mark);
-            }
-        } else {
-            const result = await pool.query(
-                'INSERT INTO marks (video_id, in_point, out_point) VALUES ($1, $2, $3) RETURNING *',
-                [req.params.videoId, in_point, out_point]
-            );
-            Object.assign(mark, result.rows[0]);
-        }
+    clips.forEach((clip, i) => {
+        const sourceIn = Math.round(clip.sourceIn / clip.fps * sequenceFps);
+        lines.push([
+            String(i + 1).padStart(3, '0'),
+            'AX      ',
+            'AA/V ',
+            'C        ',
+            framesToTimecode(sourceIn, sequenceFps),
+            framesToTimecode(sourceIn + clip.recordOut - clip.recordIn, sequenceFps),
+            framesToTimecode(recordStart + clip.recordIn, sequenceFps),
+            framesToTimecode(recordStart + clip.recordOut, sequenceFps)
+        ].join(' '));
+        lines.push(`* FROM CLIP NAME: ${clip.name}`);
+        lines.push('');
+    });
 
-        res.json({ success: true, mark });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
+    return lines.join('\r\n');
+}
 
-// Delete mark
-app.delete('/api/marks/:id', async (req, res) => {
-    try {
-        if (IS_LOCAL_MODE) {
-            localStore.marks.delete(req.params.id);
-            // Also remove from video's marks array
-            for (const [key, video] of localStore.videos) {
-                if (video.marks) {
-                    video.marks = video.marks.filter(m => m.id !== req.params.id);
-                }
-            }
-        } else {
-            await pool.query('DELETE FROM marks WHERE id = $1', [req.params.id]);
-        }
+// Final Cut Pro XML 1.9 (imports into DaVinci Resolve and Premiere)
+function buildFcpxml(project, { clips, sequenceFps, totalFrames }) {
+    const time = (frames, fps) => {
+        const { num, den } = fpsToRational(fps);
+        return `${frames * num}/${den}s`;
+    };
 
-        res.json({ success: true });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
+    const formats = new Map();
+    const formatId = (width, height, fps) => {
+        const key = `${width}x${height}@${fps}`;
+        if (!formats.has(key)) formats.set(key, { id: `r${formats.size + 1}`, width, height, fps });
+        return formats.get(key).id;
+    };
 
-// ============================================
-// EXPORT ROUTES
-// ============================================
+    const first = clips[0]?.video;
+    const sequenceFormat = formatId(first?.width || 1920, first?.height || 1080, sequenceFps);
 
-// Start export
-app.post('/api/projects/:projectId/export', async (req, res) => {
-    try {
-        const { projectId } = req.params;
-        const { name } = req.body;
+    const assets = new Map();
+    for (const clip of clips) {
+        if (assets.has(clip.video.id)) continue;
+        assets.set(clip.video.id, {
+            clip,
+            format: formatId(clip.video.width || 1920, clip.video.height || 1080, clip.fps)
+        });
+    }
 
-        const exportId = uuidv4();
+    // Asset ids continue after the format ids
+    const assetIds = new Map([...assets.keys()].map((videoId, i) => [videoId, `r${formats.size + i + 1}`]));
 
-        const exportData = {
-            id: exportId,
-            project_id: projectId,
-            status: 'queued',
-            progress: 0,
-            created_at: new Date().toISOString()
-        };
+    const formatElements = [...formats.values()].map(f => {
+        const { num, den } = fpsToRational(f.fps);
+        return `        <format id="${f.id}" frameDuration="${num}/${den}s" width="${f.width}" height="${f.height}"/>`;
+    });
 
-        if (IS_LOCAL_MODE) {
-            localStore.exports.set(exportId, exportData);
-            processExportLocally(exportId, projectId, name || 'export');
-        } else {
-            await pool.query(
-                'INSERT INTO exports (id, project_id, status) VALUES ($1, $2, $3)',
-                [exportId, projectId, 'queued']
-            );
-            // Cloud export logic...
-        }
+    const assetElements = [...assets.entries()].map(([videoId, { clip, format }]) => `        <asset id="${assetIds.get(videoId)}" name="${escapeXml(clip.name)}" start="${time(clip.fileStartFrame, clip.fps)}" duration="${time(clip.fileFrames, clip.fps)}" hasVideo="1" hasAudio="${clip.video.has_audio !== false ? 1 : 0}" format="${format}">
+            <media-rep kind="original-media" src="file:///${encodeURIComponent(clip.name)}"/>
+        </asset>`);
 
-        res.json({ success: true, exportId });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
+    const clipElements = clips.map(clip => `                        <asset-clip ref="${assetIds.get(clip.video.id)}" name="${escapeXml(clip.name)}" offset="${time(clip.recordIn, sequenceFps)}" start="${time(clip.sourceIn, clip.fps)}" duration="${time(clip.recordOut - clip.recordIn, sequenceFps)}" tcFormat="NDF"/>`);
 
-// Get export status
-app.get('/api/exports/:id', async (req, res) => {
-    try {
-        let exportData;
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE fcpxml>
+<fcpxml version="1.9">
+    <resources>
+${[...formatElements, ...assetElements].join('\n')}
+    </resources>
+    <library>
+        <event name="${escapeXml(project.name)}">
+            <project name="${escapeXml(project.name)}">
+                <sequence format="${sequenceFormat}" duration="${time(totalFrames, sequenceFps)}" tcStart="0s" tcFormat="NDF">
+                    <spine>
+${clipElements.join('\n')}
+                    </spine>
+                </sequence>
+            </project>
+        </event>
+    </library>
+</fcpxml>
+`;
+}
 
-        if (IS_LOCAL_MODE) {
-            exportData = localStore.exports.get(req.params.id);
-        } else {
-            const result = await pool.query(
-                'SELECT * FROM exports WHERE id = $1',
-                [req.params.id]
-            );
-            exportData = result.rows[0];
-        }
+// OpenTimelineIO JSON with one video and one audio track
+function buildOtio(project, { clips, sequenceFps }) {
+    const rationalTime = (value, rate) => ({ OTIO_SCHEMA: 'RationalTime.1', rate, value });
+    const timeRange = (start, duration, rate) => ({
+        OTIO_SCHEMA: 'TimeRange.1',
+        start_time: rationalTime(start, rate),
+        duration: rationalTime(duration, rate)
+    });
 
-        if (!exportData) {
-            return res.status(404).json({ error: 'Export nenalezen' });
+    const otioClip = (clip) => ({
+        OTIO_SCHEMA: 'Clip.1',
+        name: clip.name,
+        source_range: timeRange(clip.sourceIn, clip.sourceOut - clip.sourceIn, clip.fps),
+        media_reference: {
+            OTIO_SCHEMA: 'ExternalReference.1',
+            target_url: `file:///${encodeURIComponent(clip.name)}`,
+            available_range: timeRange(clip.fileStartFrame, clip.fileFrames, clip.fps),
+            metadata: {}
+        },
+        effects: [],
+        markers: [],
+        enabled: true,
+        metadata: {
+            videogadjo: {
+                video_id: clip.video.id,
+                source: clip.video.source,
+                uploaded_by: clip.video.uploaded_by
+            }
         }
+    });
 
-        res.json({ success: true, export: exportData });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
+    const track = (name, kind) => ({
+        OTIO_SCHEMA: 'Track.1',
+        name,
+        kind,
+        children: clips.map(otioClip),
+        effects: [],
+        markers: [],
+        enabled: true,
+        source_range: null,
+        metadata: {}
+    });
 
-// Local export processing
-async function processExportLocally(exportId, projectId, name) {
-    const exportData = localStore.exports.get(exportId);
-    if (!exportData) return;
+    return JSON.stringify({
+        OTIO_SCHEMA: 'Timeline.1',
+        name: project.name,
+        global_start_time: rationalTime(0, sequenceFps),
+        tracks: {
+            OTIO_SCHEMA: 'Stack.1',
+            name: 'tracks',
+            children: [track('V1', 'Video'), track('A1', 'Audio')],
+            effects: [],
+            markers: [],
+            enabled: true,
+            source_range: null,
+            metadata: {}
+        },
+        metadata: {}
+    }, null, 2);
+}
 
+// Export the edit for finishing in an NLE
+app.get('/api/projects/:id/timeline', async (req, res) => {
     try {
-        exportData.status = 'processing';
+        const format = TIMELINE_FORMATS[req.query.format] ? req.query.format : null;
+        if (!format) {
+            return res.status(400).json({ error: 'Nepodporovaný formát (edl, fcpxml, otio)' });
+        }
 
-        // Get videos for this project
-        const videos = [];
-        for (const [key, video] of localStore.videos) {
-            if (video.project_id === projectId && video.included && video.processing_status === 'ready') {
-                videos.push(video);
-            }
+        const project = await getProject(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Projekt nenalezen' });
         }
 
-        videos.sort((a, b) => (a.order_index || 0) - (b.order_index || 0));
+        // Processed videos only, photos and narration have no place as NLE clips
+        const videos = (await getProjectVideos(project.id)).filter(video =>
+            video.included && video.processing_status === 'ready' && video.media_type === 'video'
+        );
+        const timeline = await buildTimelineClips(videos, []);
+        if (timeline.clips.length === 0) {
+            return res.status(400).json({ error: 'Žádná videa k exportu' });
+        }
 
-        // For now, just simulate completion
-        exportData.progress = 100;
-        exportData.status = 'ready';
-        exportData.completed_at = new Date().toISOString();
+        const builders = { edl: buildEdl, fcpxml: buildFcpxml, otio: buildOtio };
+        const body = builders[format](project, timeline);
+        const { extension, contentType } = TIMELINE_FORMATS[format];
 
-        console.log(`✅ Export completed: ${exportId}`);
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="${sanitizeExportName(project.name)}.${extension}"`);
+        res.send(body);
     } catch (error) {
-        console.error(`❌ Export failed: ${exportId}`, error);
-        exportData.status = 'failed';
-        exportData.error_message = error.message;
+        console.error('Timeline export error:', error);
+        res.status(500).json({ error: error.message });
     }
-}
+});
 
 // ============================================
 // DATABASE INITIALIZATION (Cloud only)
@@ -811,6 +5324,17 @@ async function initDatabase() {
                 created_at TIMESTAMP DEFAULT NOW()
             );
 
+            CREATE TABLE IF NOT EXISTS cards (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+                kind VARCHAR(20) NOT NULL,
+                text TEXT NOT NULL,
+                duration FLOAT DEFAULT 3,
+                style JSONB,
+                order_index INT DEFAULT 0,
+                created_at TIMESTAMP DEFAULT NOW()
+            );
+
             CREATE TABLE IF NOT EXISTS exports (
                 id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
                 project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
@@ -828,6 +5352,76 @@ async function initDatabase() {
             ALTER TABLE videos ADD COLUMN IF NOT EXISTS height INT;
             ALTER TABLE videos ADD COLUMN IF NOT EXISTS proxy_url TEXT;
             ALTER TABLE videos ADD COLUMN IF NOT EXISTS thumbnail_url TEXT;
+            ALTER TABLE exports ADD COLUMN IF NOT EXISTS name VARCHAR(255);
+            ALTER TABLE exports ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+            ALTER TABLE exports ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP;
+            ALTER TABLE exports ADD COLUMN IF NOT EXISTS phase VARCHAR(50);
+            ALTER TABLE exports ADD COLUMN IF NOT EXISTS preset VARCHAR(50);
+            ALTER TABLE exports ADD COLUMN IF NOT EXISTS options JSONB DEFAULT '{}';
+            ALTER TABLE marks ADD COLUMN IF NOT EXISTS crop_x FLOAT;
+            ALTER TABLE marks ADD COLUMN IF NOT EXISTS transition_type VARCHAR(50);
+            ALTER TABLE marks ADD COLUMN IF NOT EXISTS transition_duration FLOAT;
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS transition_type VARCHAR(50) DEFAULT 'cut';
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS transition_duration FLOAT DEFAULT 0.5;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS muted BOOLEAN DEFAULT false;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS volume FLOAT DEFAULT 1;
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS music_path TEXT;
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS music_key VARCHAR(500);
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS music_filename VARCHAR(500);
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS music_duration FLOAT;
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS music_offset FLOAT DEFAULT 0;
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS music_fade_in FLOAT DEFAULT 2;
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS music_fade_out FLOAT DEFAULT 3;
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS music_volume FLOAT DEFAULT 0.3;
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS music_ducking BOOLEAN DEFAULT true;
+            ALTER TABLE marks ADD COLUMN IF NOT EXISTS overlay_type VARCHAR(50);
+            ALTER TABLE marks ADD COLUMN IF NOT EXISTS overlay_text TEXT;
+            ALTER TABLE marks ADD COLUMN IF NOT EXISTS overlay_style JSONB;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS fps FLOAT;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS source_timecode VARCHAR(20);
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS storage_key VARCHAR(500);
+            ALTER TABLE exports ADD COLUMN IF NOT EXISTS created_by VARCHAR(255);
+            ALTER TABLE exports ADD COLUMN IF NOT EXISTS file_size BIGINT;
+            ALTER TABLE exports ADD COLUMN IF NOT EXISTS duration FLOAT;
+            ALTER TABLE exports ADD COLUMN IF NOT EXISTS sidecar_key VARCHAR(500);
+            ALTER TABLE marks ADD COLUMN IF NOT EXISTS label VARCHAR(200);
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS content_hash VARCHAR(80);
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES videos(id) ON DELETE SET NULL;
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS duplicate_mode VARCHAR(20) DEFAULT 'link';
+            CREATE INDEX IF NOT EXISTS videos_content_hash_idx ON videos (project_id, content_hash);
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS is_vfr BOOLEAN;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS video_codec VARCHAR(50);
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS bit_depth INT;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS color_transfer VARCHAR(50);
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS hdr_format VARCHAR(20);
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS rotation INT;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS has_audio BOOLEAN;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS audio_codec VARCHAR(50);
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS audio_channels INT;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS camera_make VARCHAR(100);
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS camera_model VARCHAR(100);
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS altitude FLOAT;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS timezone_offset INT;
+            -- Capture times are instants, a plain TIMESTAMP would shift them by the server's zone
+            DO $$ BEGIN
+                IF (SELECT data_type FROM information_schema.columns
+                    WHERE table_name = 'videos' AND column_name = 'metadata_date') = 'timestamp without time zone' THEN
+                    ALTER TABLE videos ALTER COLUMN metadata_date TYPE TIMESTAMPTZ USING metadata_date AT TIME ZONE 'UTC';
+                END IF;
+            END $$;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS chapter_of UUID REFERENCES videos(id) ON DELETE SET NULL;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS chapter_index INT;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS recording_proxy_key VARCHAR(500);
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS clock_offsets JSONB DEFAULT '{}';
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS media_type VARCHAR(10) DEFAULT 'video';
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS still_duration FLOAT;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS ken_burns BOOLEAN DEFAULT true;
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS photo_duration FLOAT DEFAULT 4;
+            ALTER TABLE videos ADD COLUMN IF NOT EXISTS import_path TEXT;
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS watch_folder TEXT;
+            ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_imports JSONB DEFAULT '{}';
         `);
         console.log('✅ Database initialized and migrated');
     } finally {
@@ -835,6 +5429,204 @@ async function initDatabase() {
     }
 }
 
+// ============================================
+// IMPORT AND WATCH FOLDERS
+// ============================================
+// Files already on the server (a mounted NAS) are registered where they
+// are: node server.js import <projectId> <dir> [uploadedBy], or a project's
+// watch_folder scanned periodically. Proxies and thumbnails go to the file
+// storage as with uploads, the originals are never copied, moved or deleted.
+
+// Watch folders must be inside this directory, unset = no watch folders
+const IMPORT_ROOT = process.env.IMPORT_ROOT ? path.resolve(process.env.IMPORT_ROOT) : null;
+const WATCH_INTERVAL = 60 * 1000;
+const IMPORT_UPLOADED_BY = 'import';
+
+function isInsideDir(dir, filePath) {
+    const relative = path.relative(dir, filePath);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Absolute path of an existing watch folder (relative to IMPORT_ROOT), null when not allowed
+function resolveWatchFolder(folder) {
+    if (!IMPORT_ROOT || typeof folder !== 'string' || !folder.trim()) return null;
+    const dir = path.resolve(IMPORT_ROOT, folder.trim());
+    if (dir !== IMPORT_ROOT && !isInsideDir(IMPORT_ROOT, dir)) return null;
+    return fs.existsSync(dir) && fs.statSync(dir).isDirectory() ? dir : null;
+}
+
+/**
+ * Supported media in a directory tree, sorted by path so camera chapters
+ * come in order. Hidden entries and NAS metadata (Synology @eaDir with its
+ * thumbnail JPEGs) are skipped.
+ */
+async function listMediaFiles(dir) {
+    const entries = await fs.promises.readdir(dir, { recursive: true, withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        if (!entry.isFile() || !getMediaType(entry.name)) continue;
+        const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+        if (path.relative(dir, filePath).split(path.sep).some(part => /^[.@]/.test(part))) continue;
+
+        const stat = await fs.promises.stat(filePath);
+        files.push({ path: filePath, size: stat.size, mtime: stat.mtimeMs });
+    }
+
+    return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Paths imported into the project before, duplicates included
+async function getImportedPaths(projectId) {
+    const videos = await getProjectVideoRows(projectId);
+    return new Set(videos.map(video => video.import_path).filter(Boolean));
+}
+
+// Imported files deleted in the app, as path -> time of deletion
+async function addDeletedImports(projectId, paths) {
+    const deleted = Object.fromEntries(paths.map(filePath => [filePath, new Date().toISOString()]));
+    if (IS_LOCAL_MODE) {
+        const project = localStore.projects.get(projectId);
+        if (project) project.deleted_imports = { ...project.deleted_imports, ...deleted };
+        return;
+    }
+    await pool.query(
+        "UPDATE projects SET deleted_imports = COALESCE(deleted_imports, '{}') || $2 WHERE id = $1",
+        [projectId, deleted]
+    );
+}
+
+/**
+ * Registers files one after another, each processed before the next one.
+ * A failed file is reported and the import goes on.
+ */
+async function importFiles(projectId, files, uploadedBy) {
+    const result = { imported: [], failed: [] };
+
+    for (const file of files) {
+        try {
+            const video = await registerVideo({
+                projectId,
+                importPath: file.path,
+                originalFilename: path.basename(file.path),
+                fileSize: file.size,
+                uploadedBy,
+                awaitProcessing: true
+            });
+            result.imported.push(video);
+            log(`📥 Imported ${file.path}`);
+        } catch (error) {
+            result.failed.push({ path: file.path, error: error.message });
+            log(`❌ Import of ${file.path} failed: ${error.message}`, 'error');
+        }
+    }
+
+    return result;
+}
+
+// Per project: size and mtime of files seen by the last scan, and files that failed
+const watchState = new Map();
+let isWatchScanRunning = false;
+
+async function getWatchedProjects() {
+    if (IS_LOCAL_MODE) {
+        return [...localStore.projects.values()].filter(project => project.watch_folder);
+    }
+    const result = await pool.query('SELECT * FROM projects WHERE watch_folder IS NOT NULL');
+    return result.rows;
+}
+
+/**
+ * New files of a watch folder. A file is imported once its size and mtime
+ * have not changed since the previous scan, so copies still in progress
+ * are left for later. Failed files are retried only after they change,
+ * files deleted in the app never.
+ */
+async function scanWatchFolder(project) {
+    const dir = resolveWatchFolder(project.watch_folder);
+    if (!dir) return;
+
+    const state = watchState.get(project.id) || { files: new Map(), failed: new Set() };
+    const imported = await getImportedPaths(project.id);
+    const deleted = project.deleted_imports || {};
+    const files = new Map();
+    const ready = [];
+
+    for (const file of await listMediaFiles(dir)) {
+        if (imported.has(file.path) || Object.hasOwn(deleted, file.path)) continue;
+        const signature = `${file.path}:${file.size}:${file.mtime}`;
+        files.set(file.path, signature);
+        if (state.files.get(file.path) === signature && !state.failed.has(signature)) {
+            ready.push(file);
+        }
+    }
+    state.files = files;
+    watchState.set(project.id, state);
+
+    if (ready.length === 0) return;
+    log(`📂 Watch folder ${project.watch_folder}: ${ready.length} new files (${project.name})`);
+    const { failed } = await importFiles(project.id, ready, IMPORT_UPLOADED_BY);
+    for (const file of failed) {
+        state.failed.add(files.get(file.path));
+    }
+}
+
+async function scanWatchFolders() {
+    if (isWatchScanRunning) return;
+    isWatchScanRunning = true;
+
+    try {
+        for (const project of await getWatchedProjects()) {
+            try {
+                await scanWatchFolder(project);
+            } catch (error) {
+                log(`❌ Watch folder scan failed (${project.name}): ${error.message}`, 'error');
+            }
+        }
+    } finally {
+        isWatchScanRunning = false;
+    }
+}
+
+// node server.js import <projectId> <dir> [uploadedBy]
+async function runImportCommand([projectId, dir, uploadedBy = IMPORT_UPLOADED_BY]) {
+    if (!projectId || !dir) {
+        console.error('Usage: node server.js import <projectId> <dir> [uploadedBy]');
+        process.exit(1);
+    }
+    // The in-memory store would be gone with this process
+    if (IS_LOCAL_MODE) {
+        console.error('❌ Import needs a database (DATABASE_URL), the local mode keeps projects in memory');
+        process.exit(1);
+    }
+
+    try {
+        await initDatabase();
+
+        const project = await getProject(projectId);
+        if (!project) throw new Error(`Project ${projectId} not found`);
+
+        const root = path.resolve(dir);
+        const imported = await getImportedPaths(projectId);
+        const files = (await listMediaFiles(root)).filter(file => !imported.has(file.path));
+        console.log(`📥 Importing ${files.length} files from ${root} into "${project.name}"`);
+
+        const result = await importFiles(projectId, files, uploadedBy);
+        // Chapters are joined in the background after each file
+        await recordingUpdates.get(projectId);
+
+        console.log(`✅ Imported ${result.imported.length} files, ${result.failed.length} failed`);
+        for (const file of result.failed) {
+            console.log(`   ${file.path}: ${file.error}`);
+        }
+        await pool.end();
+        process.exit(result.failed.length > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Import failed:', error.message);
+        process.exit(1);
+    }
+}
+
 // ============================================
 // START SERVER
 // ============================================
@@ -843,6 +5635,18 @@ async function start() {
     try {
         await initDatabase();
 
+        if (!IS_LOCAL_MODE) {
+            startExportWorker();
+        }
+
+        cleanupResumableUploads();
+        setInterval(cleanupResumableUploads, 60 * 60 * 1000);
+
+        if (IMPORT_ROOT) {
+            console.log(`📂 Watch folders under ${IMPORT_ROOT}`);
+            setInterval(scanWatchFolders, WATCH_INTERVAL);
+        }
+
         app.listen(PORT, () => {
             console.log(`
 ╔══════════════════════════════════════════════════════════════╗
@@ -861,4 +5665,8 @@ async function start() {
     }
 }
 
-start();
+if (process.argv[2] === 'import') {
+    runImportCommand(process.argv.slice(3));
+} else {
+    start();
+}